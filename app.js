@@ -14,13 +14,78 @@ const __dirname = path.dirname(__filename);
 
 // Import routes
 import apiRoutes from './routes/api.js';
+import feedRoutes from './routes/feeds.js';
+import adminRoutes from './routes/admin.js';
+import { provider, scraperEvents, addFetchGuard } from './services/scraper.js';
+import { trackHistory } from './services/history.js';
+import { trackAlerts } from './services/alerts.js';
+import { trackUsage, enforceBudget } from './services/usage.js';
+import { scheduler, listSchedules } from './services/scheduler.js';
+import {
+  trackClient,
+  limitMisses,
+  limitLogins
+} from './services/rate-limit.js';
+import {
+  isAdmin,
+  adminConfigured,
+  startSession,
+  endSession,
+  requireAdminPage
+} from './services/auth.js';
+import {
+  trackErrors,
+  recordError,
+  recentErrors,
+  getDiagnostics,
+  listCacheEntries
+} from './services/diagnostics.js';
+import { loadList } from './services/queries.js';
+import { loadFeed } from './services/feed.js';
+import { loadVideo } from './services/video.js';
+import {
+  listWatchlists,
+  isWatched,
+  DEFAULT_WATCHLIST
+} from './services/watchlists.js';
+import {
+  formatNumber,
+  formatDuration,
+  formatDate
+} from './services/view-helpers.js';
+import { AppError, sendError } from './services/errors.js';
+import { normalizeHashtag, normalizeUsername } from './services/validation.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Snapshot metrics, check alert rules, log failures and account costs for
+// every scraper run
+trackHistory(scraperEvents);
+trackAlerts(scraperEvents);
+trackErrors(scraperEvents);
+trackUsage(scraperEvents);
+
+// Refuse new actor runs past the monthly budget, and charge the ones
+// requests start to the client's miss limit
+addFetchGuard(enforceBudget);
+addFetchGuard(limitMisses);
+
 // ======================
 // MIDDLEWARE SETUP
 // ======================
+
+// Behind a proxy (Vercel sets one), rate limits need the client's address
+// from X-Forwarded-For. TRUST_PROXY takes a hop count, "true" or a list of
+// trusted addresses such as "loopback".
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy === 'true') {
+  app.set('trust proxy', true);
+} else if (/^\d+$/.test(trustProxy)) {
+  app.set('trust proxy', Number(trustProxy));
+} else if (trustProxy) {
+  app.set('trust proxy', trustProxy);
+}
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://your-vercel-app.vercel.app', 'https://toktok-view-pro.vercel.app']
@@ -31,11 +96,80 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Charge cache misses from pages, feeds and the API to the client that
+// caused them (see services/rate-limit.js)
+app.use(trackClient());
+
+// Query string of the current request, for links that keep it (pagination),
+// and whether to show controls that need an admin session
+app.use((req, res, next) => {
+  res.locals.currentQuery = req.query;
+  res.locals.isAdmin = isAdmin(req);
+  next();
+});
+
 // ======================
 // VIEW ENGINE SETUP
 // ======================
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+app.locals.formatNumber = formatNumber;
+app.locals.formatDuration = formatDuration;
+app.locals.formatDate = formatDate;
+
+// ======================
+// SERVER-SIDE DATA
+// ======================
+
+// Pages wait this long for the scraper. Slower fetches keep running in the
+// background and the page falls back to loading with job progress on the
+// client, which joins the same in-flight run.
+const SSR_TIMEOUT = parseInt(process.env.SSR_TIMEOUT_MS, 10) || 8000;
+
+// `load` replaces the list loader for pages that aren't a single list (feed)
+async function loadForPage(type, params, page, load) {
+  const pending = load ? load() : loadList(type, params, page);
+  // Errors after the timeout are handled by whoever picks the run up next
+  pending.catch(() => {});
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), SSR_TIMEOUT);
+  });
+
+  try {
+    const payload = await Promise.race([pending, timeout]);
+    if (!payload) console.log(`⏱️ SSR timed out for ${type}, client will load it`);
+    return { payload, error: null };
+  } catch (error) {
+    console.error(`SSR ${type} error:`, error.message);
+    return { payload: null, error };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Send "/hashtag/Dance" or "/profile/@ChefJohn" to the canonical address,
+// keeping the query string. Returns true when it redirected.
+function redirectToCanonical(req, res, base, value, normalize) {
+  const canonical = normalize(value);
+  if (!canonical || canonical === value) return false;
+
+  const queryStart = req.originalUrl.indexOf('?');
+  const query = queryStart === -1 ? '' : req.originalUrl.slice(queryStart);
+  res.redirect(301, `${base}/${encodeURIComponent(canonical)}${query}`);
+  return true;
+}
+
+// Feed discovery links for profile and hashtag pages
+function feedLinks(type, name) {
+  const base = `/feeds/${type}/${encodeURIComponent(name)}`;
+  return [
+    { label: 'RSS', type: 'application/rss+xml', href: `${base}.rss` },
+    { label: 'Atom', type: 'application/atom+xml', href: `${base}.atom` },
+    { label: 'JSON Feed', type: 'application/feed+json', href: `${base}.json` }
+  ];
+}
 
 // ======================
 // ROUTES
@@ -52,10 +186,14 @@ app.get('/', (req, res) => {
 // Trending page route
 app.get('/trending', async (req, res) => {
   try {
-    res.render('trending', { 
+    const { payload, error } = await loadForPage('trending', {}, req.query);
+
+    res.status(error ? error.status || 500 : 200).render('trending', { 
       title: 'Trending Videos - TokView Pro',
+      description: "Discover what's popular on TikTok right now.",
       currentPage: 'trending',
-      videos: []
+      videos: payload ? payload.data : null,
+      loadError: error ? error.message : null
     });
   } catch (error) {
     console.error('Trending page error:', error);
@@ -70,11 +208,23 @@ app.get('/trending', async (req, res) => {
 app.get('/hashtag/:tag', async (req, res) => {
   try {
     const tag = req.params.tag;
-    res.render('hashtag', { 
+    if (redirectToCanonical(req, res, '/hashtag', tag, normalizeHashtag)) return;
+
+    const [{ payload, error }, watched] = await Promise.all([
+      loadForPage('hashtag', { tag }, req.query),
+      isWatched('hashtag', tag)
+    ]);
+
+    res.status(error ? error.status || 500 : 200).render('hashtag', { 
       title: `#${tag} - TokView Pro`,
+      description: `Watch the latest TikTok videos tagged #${tag}.`,
       currentPage: 'hashtag',
       hashtag: tag,
-      videos: []
+      watched,
+      feeds: feedLinks('hashtag', tag),
+      videos: payload ? payload.data : null,
+      nextCursor: payload ? payload.nextCursor : null,
+      loadError: error ? error.message : null
     });
   } catch (error) {
     console.error('Hashtag page error:', error);
@@ -89,12 +239,28 @@ app.get('/hashtag/:tag', async (req, res) => {
 app.get('/profile/:username', async (req, res) => {
   try {
     const username = req.params.username;
-    res.render('profile', { 
+    if (redirectToCanonical(req, res, '/profile', username, normalizeUsername)) {
+      return;
+    }
+
+    const [{ payload, error }, watched] = await Promise.all([
+      loadForPage('profile', { username }, req.query),
+      isWatched('profile', username)
+    ]);
+
+    res.status(error ? error.status || 500 : 200).render('profile', { 
       title: `@${username} - TokView Pro`,
+      description: payload?.profile
+        ? `@${username} on TikTok: ${payload.profile.bio}`
+        : `TikTok videos by @${username}.`,
       currentPage: 'profile',
       username: username,
-      profile: null,
-      videos: []
+      watched,
+      feeds: feedLinks('profile', username),
+      profile: payload ? payload.profile : null,
+      videos: payload ? payload.videos : null,
+      nextCursor: payload ? payload.nextCursor : null,
+      loadError: error ? error.message : null
     });
   } catch (error) {
     console.error('Profile page error:', error);
@@ -105,15 +271,90 @@ app.get('/profile/:username', async (req, res) => {
   }
 });
 
+// Sound page: its metadata, usage counts and the videos using it
+app.get('/sound/:id', async (req, res) => {
+  const id = req.params.id;
+  try {
+    const { payload, error } = await loadForPage('sound', { id }, req.query);
+    const sound = payload ? payload.sound : null;
+
+    res.status(error ? error.status || 500 : 200).render('sound', { 
+      title: sound ? `♪ ${sound.title} - TokView Pro` : 'Sound - TokView Pro',
+      description: sound
+        ? `TikTok videos using "${sound.title}".`
+        : 'TikTok videos using this sound.',
+      currentPage: 'sound',
+      soundId: id,
+      sound,
+      usage: payload ? payload.usage : null,
+      videos: payload ? payload.data : null,
+      nextCursor: payload ? payload.nextCursor : null,
+      loadError: error ? error.message : null
+    });
+  } catch (error) {
+    console.error('Sound page error:', error);
+    res.render('error', { 
+      title: 'Error - TokView Pro',
+      message: `Failed to load sound ${id}`
+    });
+  }
+});
+
+// Video detail page
+app.get('/video/:id', async (req, res) => {
+  const id = req.params.id;
+  try {
+    const { payload, error } = await loadForPage('video', { id }, {}, () =>
+      loadVideo(id)
+    );
+    const video = payload ? payload.video : null;
+
+    res.status(error ? error.status || 500 : 200).render('video', { 
+      title: video
+        ? `@${video.creator.username}: ${video.description.slice(0, 60)} - TokView Pro`
+        : 'Video - TokView Pro',
+      description: video ? video.description : 'TikTok video details.',
+      currentPage: 'video',
+      videoId: id,
+      video,
+      related: payload ? payload.related : null,
+      loadError: error ? error.message : null
+    });
+  } catch (error) {
+    console.error('Video page error:', error);
+    res.render('error', { 
+      title: 'Error - TokView Pro',
+      message: `Failed to load video ${id}`
+    });
+  }
+});
+
 // Search results page
 app.get('/search', async (req, res) => {
   try {
-    const query = req.query.q || '';
-    res.render('search', { 
-      title: `Search "${query}" - TokView Pro`,
+    const query = (req.query.q || '').trim();
+    // Nothing to search for yet: show the empty page instead of a failed
+    // validation
+    const { payload, error } = query
+      ? await loadForPage('search', { q: query }, req.query)
+      : {
+          payload: { data: [], users: [], hashtags: [], terms: null },
+          error: null
+        };
+
+    res.status(error ? error.status || 500 : 200).render('search', { 
+      title: query ? `Search "${query}" - TokView Pro` : 'Search - TokView Pro',
+      description: query
+        ? `TikTok search results for "${query}".`
+        : 'Search TikTok videos, creators and hashtags.',
       currentPage: 'search',
       query: query,
-      videos: []
+      terms: payload ? payload.terms : null,
+      users: payload ? payload.users : [],
+      hashtags: payload ? payload.hashtags : [],
+      videos: payload ? payload.data : null,
+      nextCursor: payload ? payload.nextCursor : null,
+      loadError: error ? error.message : null
     });
   } catch (error) {
     console.error('Search page error:', error);
@@ -124,15 +365,136 @@ app.get('/search', async (req, res) => {
   }
 });
 
+// Merged feed of everything on a watchlist
+app.get('/feed', async (req, res) => {
+  try {
+    const watchlistId = req.query.watchlist || DEFAULT_WATCHLIST;
+    const watchlists = await listWatchlists();
+    const watchlist = watchlists.find((w) => w.id === watchlistId);
+    if (!watchlist) {
+      return res.status(404).render('error', { 
+        title: 'Watchlist Not Found - TokView Pro',
+        message: `There is no watchlist "${watchlistId}".`
+      });
+    }
+
+    const hasSources = watchlist.usernames.length + watchlist.hashtags.length > 0;
+    const { payload, error } = hasSources
+      ? await loadForPage('feed', {}, req.query, () =>
+          loadFeed(watchlistId, req.query)
+        )
+      : { payload: null, error: null };
+
+    res.status(error ? error.status || 500 : 200).render('feed', { 
+      title: 'My Feed - TokView Pro',
+      description: 'The latest videos from the creators and hashtags you watch.',
+      currentPage: 'feed',
+      watchlists,
+      watchlist,
+      hasSources,
+      sources: payload ? payload.sources : [],
+      videos: payload ? payload.data : hasSources ? null : [],
+      nextCursor: payload ? payload.nextCursor : null,
+      loadError: error ? error.message : null
+    });
+  } catch (error) {
+    console.error('Feed page error:', error);
+    res.render('error', { 
+      title: 'Error - TokView Pro',
+      message: 'Failed to load your feed'
+    });
+  }
+});
+
+// ======================
+// ADMIN
+// ======================
+
+// Only same-site paths, so the login form can't be used as an open redirect
+const safeNext = (next) =>
+  typeof next === 'string' && /^\/(?![\/\\])/.test(next) ? next : '/admin';
+
+app.get('/admin/login', (req, res) => {
+  if (isAdmin(req)) return res.redirect(safeNext(req.query.next));
+
+  res.render('admin-login', { 
+    title: 'Admin Login - TokView Pro',
+    configured: adminConfigured(),
+    next: safeNext(req.query.next),
+    error: null
+  });
+});
+
+app.post('/admin/login', (req, res) => {
+  const next = safeNext(req.body.next);
+  const attempt = limitLogins(req);
+  let error = null;
+
+  if (!attempt.allowed) {
+    error = `Too many attempts. Try again in ${Math.ceil(attempt.reset / 60)} minutes.`;
+  } else if (startSession(req, res, req.body.secret)) {
+    return res.redirect(next);
+  } else {
+    error = 'Wrong admin secret';
+  }
+
+  res.status(attempt.allowed ? 401 : 429).render('admin-login', { 
+    title: 'Admin Login - TokView Pro',
+    configured: adminConfigured(),
+    next,
+    error
+  });
+});
+
+app.post('/admin/logout', (req, res) => {
+  endSession(res);
+  res.redirect('/admin/login');
+});
+
+// Dashboard: cache contents, scraper status and recent errors
+app.get('/admin', requireAdminPage, async (req, res) => {
+  try {
+    const [diagnostics, entries, schedules] = await Promise.all([
+      getDiagnostics(),
+      listCacheEntries(),
+      listSchedules()
+    ]);
+
+    res.render('admin', { 
+      title: 'Admin - TokView Pro',
+      currentPage: 'admin',
+      diagnostics,
+      entries,
+      schedules,
+      errors: recentErrors()
+    });
+  } catch (error) {
+    console.error('Admin page error:', error);
+    res.render('error', { 
+      title: 'Error - TokView Pro',
+      message: 'Failed to load the admin dashboard'
+    });
+  }
+});
+
+// Maintenance API: diagnostics, cache and scheduled refreshes
+app.use('/api/admin', adminRoutes);
+
 // API routes
 app.use('/api', apiRoutes);
 
+// RSS, Atom and JSON Feed subscriptions
+app.use('/feeds', feedRoutes);
+
 // ======================
 // ERROR HANDLING
 // ======================
 
 // 404 handler
 app.use((req, res) => {
+  if (req.path.startsWith('/api/')) {
+    return sendError(res, new AppError('NOT_FOUND', 'Unknown API endpoint'));
+  }
   res.status(404).render('error', { 
     title: 'Page Not Found - TokView Pro',
     message: 'The page you are looking for does not exist.'
@@ -142,6 +504,11 @@ app.use((req, res) => {
 // Global error handler
 app.use((error, req, res, next) => {
   console.error('Global error handler:', error);
+  recordError('server', error.message, { path: req.originalUrl });
+  // Malformed JSON bodies and the like keep their 4xx status
+  if (req.path.startsWith('/api/')) {
+    return sendError(res, error, 'Request failed');
+  }
   res.status(500).render('error', { 
     title: 'Server Error - TokView Pro',
     message: 'Something went wrong on our end. Please try again later.'
@@ -161,11 +528,18 @@ if (process.env.NODE_ENV !== 'production' || process.env.VERCEL !== '1') {
     console.log('TokView Pro Server Started!');
     console.log(`Local: http://localhost:${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV}`);
+    console.log(`Data source: ${provider.name}`);
     console.log(`API Key: ${process.env.APIFY_API_KEY ? 'Set' : 'Missing'}`);
     
-    if (!process.env.APIFY_API_KEY) {
+    if (provider.name !== 'fixture' && !process.env.APIFY_API_KEY) {
       console.log('\n WARNING: Please set your APIFY_API_KEY in the environment variables');
       console.log('Get your key from: https://console.apify.com/account/integrations');
+      console.log('Or run offline with SCRAPER_PROVIDER=fixture');
+    }
+
+    // Scheduled refreshes run here unless a separate worker (npm run worker) owns them
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      scheduler.start();
     }
   });
 }
\ No newline at end of file
@@ -58,9 +58,11 @@ window.Utils = window.Utils || {
     }
   },
 
-  showError(container, message) {
+  showError(container, error, fallback) {
     if (container) {
-      container.innerHTML = `<div class="error">${message}</div>`;
+      container.innerHTML = `<div class="error">${
+        (error && error.message) || error || fallback
+      }</div>`;
     }
   },
 
@@ -71,6 +73,15 @@ window.Utils = window.Utils || {
 
 console.log("🔄 TokView Pro JavaScript initializing...");
 
+// Error codes shared with the server, loaded from /js/error-codes.js
+const ErrorCodes = window.TokViewErrorCodes || {
+  INTERNAL: {
+    title: "Something went wrong",
+    hint: "Please try again in a moment.",
+    action: "retry",
+  },
+};
+
 // ======================
 // APP STATE
 // ======================
@@ -79,6 +90,8 @@ const AppState = {
   currentPage: "home",
   isLoading: false,
   lastSearch: "",
+  // Set from Retry-After when the API answers 429
+  rateLimitedUntil: 0,
 };
 
 // ======================
@@ -88,6 +101,14 @@ const AppState = {
 const Utils = {
   // Show loading state
   showLoading(container) {
+    // The in-container spinner replaces the page's initial placeholder
+    const pageLoading = document.getElementById("loading-section");
+    if (pageLoading) pageLoading.style.display = "none";
+    const videosSection = document.getElementById("videos-section");
+    if (videosSection) videosSection.style.display = "block";
+    const errorSection = document.getElementById("error-section");
+    if (errorSection) errorSection.style.display = "none";
+
     if (container) {
       container.innerHTML = `
                 <div class="loading-section">
@@ -99,48 +120,152 @@ const Utils = {
     AppState.isLoading = true;
   },
 
-  // Show error state with enhanced error handling
-  showError(container, message) {
-    if (container) {
-      let userFriendlyMessage = message;
-
-      // Enhance error messages for better user experience
-      if (
-        message.includes("API authentication") ||
-        message.includes("API key") ||
-        message.includes("token")
-      ) {
-        userFriendlyMessage =
-          "API configuration issue. Please check the server configuration.";
-      } else if (message.includes("rate limit")) {
-        userFriendlyMessage =
-          "Too many requests. Please wait a few minutes and try again.";
-      } else if (message.includes("not found") || message.includes("private")) {
-        userFriendlyMessage = message; // Keep these as they're user-friendly
-      } else if (
-        message.includes("Failed to fetch") ||
-        message.includes("NetworkError")
-      ) {
-        userFriendlyMessage =
-          "Network connection failed. Please check your internet connection.";
-      }
+  // Show scrape job progress at the top of the container, followed by the
+  // videos received so far
+  showProgress(container, job, newItems = []) {
+    if (!container) return;
+
+    let progress = container.querySelector(".job-progress");
+    if (!progress) {
+      container.innerHTML = `
+                <div class="job-progress">
+                    <div class="job-progress-bar">
+                        <div class="job-progress-fill"></div>
+                    </div>
+                    <p class="job-progress-text"></p>
+                </div>
+            `;
+      progress = container.querySelector(".job-progress");
+    }
+
+    const count = job.itemCount || 0;
+    const expected = job.expected || 0;
+    const percent = expected
+      ? Math.min(100, Math.round((count / expected) * 100))
+      : 0;
+
+    let text = "Starting the scraper...";
+    if (job.status === "queued") {
+      text = "Waiting for a free scraper slot...";
+    } else if (count > 0) {
+      text = `Scraping TikTok... ${count} of about ${expected} videos`;
+    }
+
+    progress.querySelector(".job-progress-fill").style.width = `${percent}%`;
+    progress.querySelector(".job-progress-text").textContent = text;
 
+    if (newItems.length > 0) {
+      VideoRenderer.renderVideos(newItems, container, { append: true });
+    }
+    AppState.isLoading = true;
+  },
+
+  // Show an error with the title and hint for its code (see
+  // /js/error-codes.js) and a button for the matching recovery. `error` is
+  // an Error from APIService or a plain message; `fallback` is shown when
+  // it has no message of its own.
+  showError(container, error, fallback) {
+    const code = (error && error.code) || "INTERNAL";
+    const info = ErrorCodes[code] || ErrorCodes.INTERNAL;
+    const message =
+      (typeof error === "string" ? error : error && error.message) ||
+      fallback ||
+      info.hint;
+
+    if (info.action === "wait" || AppState.rateLimitedUntil > Date.now()) {
+      this.showRateLimit(container, message);
+      return;
+    }
+
+    if (container) {
       container.innerHTML = `
-                <div class="error-section">
+                <div class="error-section" data-error-code="${code}">
                     <div class="error-message">
-                        <h3>❌ Something went wrong</h3>
-                        <p>${userFriendlyMessage}</p>
+                        <h3>❌ ${VideoRenderer.escapeHtml(info.title)}</h3>
+                        <p>${VideoRenderer.escapeHtml(message)}</p>
+                        <p class="error-hint">${VideoRenderer.escapeHtml(info.hint)}</p>
                         <div class="error-actions">
-                            <button onclick="window.location.reload()" class="retry-button">
+                            ${this.errorActions(info.action)}
+                        </div>
+                    </div>
+                </div>
+            `;
+    }
+    AppState.isLoading = false;
+  },
+
+  // Buttons for an error code's recovery action
+  errorActions(action) {
+    const home = `<button onclick="window.location.href='/'" class="btn-secondary">
+                                Go Home
+                            </button>`;
+    switch (action) {
+      case "search":
+        return `<button onclick="Utils.focusSearch()" class="retry-button">
+                                New Search
+                            </button>
+                            ${home}`;
+      case "login":
+        return `<button onclick="window.location.href='/admin/login?next=' + encodeURIComponent(window.location.pathname)" class="retry-button">
+                                Log In
+                            </button>
+                            ${home}`;
+      case "home":
+        return home;
+      default:
+        return `<button onclick="window.location.reload()" class="retry-button">
                                 Try Again
                             </button>
-                            <button onclick="window.location.href='/'" class="btn-secondary">
-                                Go Home
+                            ${home}`;
+    }
+  },
+
+  // Move to the header search box, or the search page if there is none
+  focusSearch() {
+    const input = document.querySelector(".search-input");
+    if (!input) {
+      window.location.href = "/search";
+      return;
+    }
+    input.focus();
+    input.select();
+  },
+
+  // Rate limited: count down until the API accepts requests again, then
+  // offer to retry
+  showRateLimit(container, message) {
+    if (container) {
+      container.innerHTML = `
+                <div class="error-section rate-limit-section">
+                    <div class="error-message">
+                        <h3>⏳ ${ErrorCodes.RATE_LIMITED.title}</h3>
+                        <p>${VideoRenderer.escapeHtml(message)}</p>
+                        <p class="rate-limit-countdown"></p>
+                        <div class="error-actions">
+                            <button onclick="window.location.reload()" class="retry-button" disabled>
+                                Try Again
                             </button>
                         </div>
                     </div>
                 </div>
             `;
+
+      const countdown = container.querySelector(".rate-limit-countdown");
+      const button = container.querySelector(".retry-button");
+      const update = () => {
+        const seconds = Math.ceil(
+          (AppState.rateLimitedUntil - Date.now()) / 1000
+        );
+        if (seconds > 0 && document.body.contains(countdown)) {
+          countdown.textContent = `You can try again in ${seconds}s`;
+          return;
+        }
+        clearInterval(timer);
+        countdown.textContent = "You can try again now.";
+        button.disabled = false;
+      };
+      const timer = setInterval(update, 1000);
+      update();
     }
     AppState.isLoading = false;
   },
@@ -179,91 +304,294 @@ const APIService = {
   baseURL: window.location.origin,
 
   async request(endpoint, options = {}) {
-    try {
-      const url = `${this.baseURL}${endpoint}`;
-      console.log(`🔄 Making API request to: ${url}`);
+    const url = `${this.baseURL}${endpoint}`;
+    console.log(`🔄 Making API request to: ${url}`);
 
-      const response = await fetch(url, {
+    let response;
+    try {
+      response = await fetch(url, {
         headers: {
           "Content-Type": "application/json",
           ...options.headers,
         },
         ...options,
       });
+    } catch (cause) {
+      console.error("❌ API request failed:", cause);
+      const error = new Error(ErrorCodes.NETWORK.title);
+      error.code = "NETWORK";
+      error.status = 0;
+      throw error;
+    }
 
-      if (!response.ok) {
-        let errorMessage = `HTTP error! status: ${response.status}`;
+    if (!response.ok) {
+      const error = await this.responseError(response);
+      console.error("❌ API request failed:", error);
+      throw error;
+    }
 
-        try {
-          const errorData = await response.json();
-          errorMessage = errorData.error || errorData.message || errorMessage;
-
-          // Handle specific API errors with user-friendly messages
-          if (
-            errorMessage.includes("API key") ||
-            errorMessage.includes("token") ||
-            errorMessage.includes("authentication") ||
-            errorMessage.includes("not valid")
-          ) {
-            errorMessage =
-              "API authentication failed. Please check server configuration.";
-          } else if (
-            errorMessage.includes("not found") ||
-            errorMessage.includes("private")
-          ) {
-            // Keep these messages as they're informative
-          } else if (errorMessage.includes("rate limit")) {
-            errorMessage =
-              "API rate limit exceeded. Please try again in a few minutes.";
-          } else if (errorMessage.includes("Failed to fetch data")) {
-            errorMessage =
-              "Unable to fetch data from TikTok. The service might be temporarily unavailable.";
-          }
-        } catch (e) {
-          // Not JSON response, use text
-          const text = await response.text();
-          errorMessage = text || errorMessage;
-        }
+    const data = await response.json();
+    console.log("✅ API response received successfully");
+    return data;
+  },
 
-        throw new Error(errorMessage);
-      }
+  // Remember when a 429 lets us retry so error views can count down
+  noteRateLimit(seconds) {
+    const wait = Math.max(parseInt(seconds, 10) || 60, 1);
+    AppState.rateLimitedUntil = Date.now() + wait * 1000;
+    return wait;
+  },
 
-      const data = await response.json();
-      console.log("✅ API response received successfully");
-      return data;
-    } catch (error) {
-      console.error("❌ API request failed:", error);
+  // Error from an API error envelope: { code, error, details, retryAfter }
+  async responseError(response) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(
+      data.error || data.message || `HTTP error! status: ${response.status}`
+    );
+    error.code =
+      data.code || (response.status === 429 ? "RATE_LIMITED" : "INTERNAL");
+    error.status = response.status;
+    if (data.details) error.details = data.details;
+    if (error.code === "RATE_LIMITED") {
+      error.retryAfter = this.noteRateLimit(
+        response.headers.get("Retry-After") || data.retryAfter
+      );
+    }
+    return error;
+  },
 
-      // Enhance error messages for common network issues
-      if (
-        error.message.includes("Failed to fetch") ||
-        error.message.includes("NetworkError") ||
-        error.message.includes("Network request failed")
-      ) {
-        throw new Error(
-          "Network connection failed. Please check your internet connection and try again."
-        );
+  // Error for a failed job, noting rate limits like request() does
+  jobError(job) {
+    const error = new Error(job.error.message);
+    error.code = job.error.code || "INTERNAL";
+    error.status = job.error.status;
+    if (error.code === "RATE_LIMITED") {
+      error.retryAfter = this.noteRateLimit(job.error.retryAfter);
+    }
+    return error;
+  },
+
+  // Start a scrape job and follow it until it finishes. Resolves with the
+  // same payload the matching list endpoint returns. onProgress(job, items)
+  // is called with status updates and the videos scraped so far.
+  // `options` are the sort/filter params applied to the result.
+  async runJob(type, params, onProgress, options = {}) {
+    const { job } = await this.request("/api/jobs", {
+      method: "POST",
+      body: JSON.stringify({ type, params, options }),
+    });
+
+    const finished = await this.followJob(job, onProgress);
+    return { success: true, ...finished.result };
+  },
+
+  followJob(job, onProgress) {
+    if (job.status === "succeeded") return Promise.resolve(job);
+    if (job.status === "failed") {
+      return Promise.reject(this.jobError(job));
+    }
+
+    onProgress(job, []);
+
+    if (typeof EventSource === "undefined") {
+      return this.pollJob(job, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(
+        `${this.baseURL}/api/jobs/${encodeURIComponent(job.id)}/events`
+      );
+      let latest = job;
+
+      source.addEventListener("status", (event) => {
+        latest = JSON.parse(event.data);
+        onProgress(latest, []);
+      });
+
+      source.addEventListener("items", (event) => {
+        onProgress(latest, JSON.parse(event.data));
+      });
+
+      source.addEventListener("done", (event) => {
+        source.close();
+        resolve(JSON.parse(event.data));
+      });
+
+      source.addEventListener("failed", (event) => {
+        source.close();
+        reject(this.jobError(JSON.parse(event.data)));
+      });
+
+      // Stream dropped (proxy timeout, serverless limit): keep polling
+      // from the last item received
+      source.onerror = () => {
+        source.close();
+        this.pollJob(latest, onProgress).then(resolve, reject);
+      };
+    });
+  },
+
+  // Fallback for browsers or hosts where the event stream is unavailable.
+  // Each poll asks for the items after the ones already shown.
+  async pollJob(latest, onProgress) {
+    let offset = latest.itemCount || 0;
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, 2000));
+
+      const { job } = await this.request(
+        `/api/jobs/${encodeURIComponent(latest.id)}${this.queryString({
+          offset,
+        })}`
+      );
+      if (job.status === "succeeded") return job;
+      if (job.status === "failed") throw this.jobError(job);
+      offset = job.itemCount;
+      onProgress(job, job.items || []);
+    }
+  },
+
+  async getTrending({ onProgress, listOptions = {} } = {}) {
+    if (onProgress) {
+      return this.runJob("trending", {}, onProgress, listOptions);
+    }
+    return this.request(`/api/trending${this.queryString(listOptions)}`);
+  },
+
+  // Build "?cursor=...&limit=..." from page options and extra params
+  queryString(params = {}) {
+    const search = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        search.set(key, value);
       }
+    });
+    const query = search.toString();
+    return query ? `?${query}` : "";
+  },
 
-      // Re-throw enhanced errors
-      throw error;
+  async getHashtag(
+    tag,
+    { cursor, limit, onProgress, listOptions = {} } = {}
+  ) {
+    if (onProgress && !cursor && !limit) {
+      return this.runJob("hashtag", { tag }, onProgress, listOptions);
     }
+    return this.request(
+      `/api/hashtag/${encodeURIComponent(tag)}${this.queryString({
+        ...listOptions,
+        cursor,
+        limit,
+      })}`
+    );
   },
 
-  async getTrending() {
-    return this.request("/api/trending");
+  async getProfile(
+    username,
+    { cursor, limit, onProgress, listOptions = {} } = {}
+  ) {
+    if (onProgress && !cursor && !limit) {
+      return this.runJob("profile", { username }, onProgress, listOptions);
+    }
+    return this.request(
+      `/api/profile/${encodeURIComponent(username)}${this.queryString({
+        ...listOptions,
+        cursor,
+        limit,
+      })}`
+    );
   },
 
-  async getHashtag(tag) {
-    return this.request(`/api/hashtag/${encodeURIComponent(tag)}`);
+  async getSound(id, { cursor, limit, onProgress, listOptions = {} } = {}) {
+    if (onProgress && !cursor && !limit) {
+      return this.runJob("sound", { id }, onProgress, listOptions);
+    }
+    return this.request(
+      `/api/sound/${encodeURIComponent(id)}${this.queryString({
+        ...listOptions,
+        cursor,
+        limit,
+      })}`
+    );
   },
 
-  async getProfile(username) {
-    return this.request(`/api/profile/${encodeURIComponent(username)}`);
+  async search(query, { cursor, limit, onProgress, listOptions = {} } = {}) {
+    if (onProgress && !cursor && !limit) {
+      return this.runJob("search", { q: query }, onProgress, listOptions);
+    }
+    return this.request(
+      `/api/search${this.queryString({
+        ...listOptions,
+        q: query,
+        cursor,
+        limit,
+      })}`
+    );
   },
 
-  async search(query) {
-    return this.request(`/api/search?q=${encodeURIComponent(query)}`);
+  // One video with its metadata and the "more from..." rails
+  async getVideo(id) {
+    return this.request(`/api/video/${encodeURIComponent(id)}`);
+  },
+
+  // One page of a video's comments, sorted "top" or "newest" and optionally
+  // filtered by keyword
+  async getComments(id, { sort, q, cursor } = {}) {
+    return this.request(
+      `/api/video/${encodeURIComponent(id)}/comments${this.queryString({
+        sort,
+        q,
+        cursor,
+      })}`
+    );
+  },
+
+  // Aggregate metrics across the videos scraped for a hashtag
+  async getHashtagStats(tag) {
+    return this.request(`/api/hashtag/${encodeURIComponent(tag)}/stats`);
+  },
+
+  // Computed metrics across a creator's scraped videos
+  async getProfileStats(username) {
+    return this.request(
+      `/api/profile/${encodeURIComponent(username)}/stats`
+    );
+  },
+
+  async getProfileHistory(username) {
+    return this.request(
+      `/api/profile/${encodeURIComponent(username)}/history`
+    );
+  },
+
+  async getFeed(watchlistId, { cursor, limit, listOptions = {} } = {}) {
+    return this.request(
+      `/api/feed${this.queryString({
+        ...listOptions,
+        watchlist: watchlistId,
+        cursor,
+        limit,
+      })}`
+    );
+  },
+
+  // Add or remove a creator ("profile") or hashtag on a watchlist
+  async watch(type, value, watchlistId = "default") {
+    return this.request(
+      `/api/watchlists/${encodeURIComponent(watchlistId)}/sources`,
+      {
+        method: "POST",
+        body: JSON.stringify({ type, value }),
+      }
+    );
+  },
+
+  async unwatch(type, value, watchlistId = "default") {
+    return this.request(
+      `/api/watchlists/${encodeURIComponent(
+        watchlistId
+      )}/sources/${encodeURIComponent(type)}/${encodeURIComponent(value)}`,
+      { method: "DELETE" }
+    );
   },
 
   // Health check with enhanced error handling
@@ -277,7 +605,6 @@ const APIService = {
       return {
         status: "Error",
         error: error.message,
-        apiKeyConfigured: false,
       };
     }
   },
@@ -316,17 +643,49 @@ const VideoRenderer = {
                             onerror="this.src='https://via.placeholder.com/150/1a1a1a/ffffff?text=TK'"
                         >
                         <div class="creator-details">
-                            <h4 class="creator-username">@${safeUsername}</h4>
+                            <h4 class="creator-username">
+                                <a href="/profile/${encodeURIComponent(
+                                  video.creator.username
+                                )}">@${safeUsername}</a>
+                            </h4>
                         </div>
                     </div>
                     
-                    <p class="video-description">${safeDescription}</p>
+                    ${
+                      video.matchedTerms && video.matchedTerms.length > 0
+                        ? `
+                        <div class="video-matches">
+                            <span class="video-matches-label">Matched</span>
+                            ${video.matchedTerms
+                              .map(
+                                (term) =>
+                                  `<span class="match-term">${this.escapeHtml(
+                                    term
+                                  )}</span>`
+                              )
+                              .join("")}
+                        </div>
+                    `
+                        : ""
+                    }
+
+                    <p class="video-description">
+                        <a href="/video/${encodeURIComponent(
+                          video.id
+                        )}" class="video-detail-link">${safeDescription}</a>
+                    </p>
                     
                     ${
                       safeSoundtrack
                         ? `
                         <p class="video-soundtrack">
-                            <strong>Sound:</strong> ${safeSoundtrack}
+                            <strong>Sound:</strong> ${
+                              video.sound
+                                ? `<a href="/sound/${encodeURIComponent(
+                                    video.sound.id
+                                  )}">${safeSoundtrack}</a>`
+                                : safeSoundtrack
+                            }
                         </p>
                     `
                         : ""
@@ -380,8 +739,19 @@ const VideoRenderer = {
         `;
   },
 
-  // Render multiple videos
-  renderVideos(videos, container) {
+  // Render multiple videos. With { append: true } the cards are added after
+  // the ones already in the container instead of replacing them.
+  renderVideos(videos, container, { append = false } = {}) {
+    if (append) {
+      if (videos && videos.length > 0) {
+        container.insertAdjacentHTML(
+          "beforeend",
+          videos.map((video) => this.renderVideo(video)).join("")
+        );
+      }
+      return;
+    }
+
     if (!videos || videos.length === 0) {
       container.innerHTML = `
                 <div class="no-videos">
@@ -418,11 +788,817 @@ const VideoRenderer = {
   },
 };
 
+// ======================
+// PAGINATION
+// ======================
+
+const Pagination = {
+  // Show a "Load more" button after the container. It loads the next page
+  // when clicked or, for infinite scroll, when it scrolls into view.
+  // loadMore(cursor) must render the page and resolve with the next cursor.
+  attach(container, nextCursor, loadMore) {
+    this.detach(container);
+    if (!nextCursor) return;
+
+    const section = document.createElement("div");
+    section.className = "load-more-section";
+    section.innerHTML = `
+            <button type="button" class="load-more-button">Load more</button>
+        `;
+    container.insertAdjacentElement("afterend", section);
+
+    const button = section.querySelector(".load-more-button");
+    let loading = false;
+
+    const load = async () => {
+      if (loading) return;
+      loading = true;
+      button.disabled = true;
+      button.textContent = "Loading...";
+
+      try {
+        const cursor = await loadMore(nextCursor);
+        this.attach(container, cursor, loadMore);
+      } catch (error) {
+        console.error("❌ Failed to load more videos:", error);
+        loading = false;
+        button.disabled = false;
+        button.textContent = "Couldn't load more. Try again";
+      }
+    };
+
+    button.addEventListener("click", load);
+
+    if ("IntersectionObserver" in window) {
+      const observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) load();
+        },
+        { rootMargin: "400px" }
+      );
+      observer.observe(section);
+      container._paginationObserver = observer;
+    }
+  },
+
+  // Remove the button and stop watching the scroll position
+  detach(container) {
+    if (container._paginationObserver) {
+      container._paginationObserver.disconnect();
+      container._paginationObserver = null;
+    }
+    const next = container.nextElementSibling;
+    if (next && next.classList.contains("load-more-section")) {
+      next.remove();
+    }
+  },
+};
+
+// ======================
+// SORT & FILTER CONTROLS
+// ======================
+
+const ListOptions = {
+  // Query params understood by the list endpoints (see services/filters.js)
+  PARAMS: [
+    "sort",
+    "order",
+    "minPlays",
+    "minLikes",
+    "from",
+    "to",
+    "hashtag",
+    "creator",
+    "originalSound",
+  ],
+
+  // Sort/filter params of the current page URL, so client-side fetches
+  // return the same list the server rendered
+  current() {
+    const search = new URLSearchParams(window.location.search);
+    const options = {};
+    this.PARAMS.forEach((param) => {
+      if (search.get(param)) options[param] = search.get(param);
+    });
+    return options;
+  },
+
+  // Leave empty fields out of the submitted URL, and keep the export links
+  // in step with the number of videos on screen
+  attach(form) {
+    form.addEventListener("submit", () => {
+      form.querySelectorAll("input, select").forEach((field) => {
+        if (!field.value) field.disabled = true;
+      });
+      if (!form.elements.sort.value) form.elements.order.disabled = true;
+    });
+
+    form.querySelectorAll(".export-link").forEach((link) => {
+      link.addEventListener("click", () => {
+        const shown = document.querySelectorAll(
+          "#videos-container .video-card"
+        ).length;
+        const url = new URL(link.href);
+        if (shown > 0) {
+          url.searchParams.set("limit", shown);
+        } else {
+          url.searchParams.delete("limit");
+        }
+        link.href = url.toString();
+      });
+    });
+  },
+};
+
+// ======================
+// GROWTH CHARTS
+// ======================
+
+const GrowthCharts = {
+  WIDTH: 600,
+  HEIGHT: 180,
+  PADDING: 24,
+  MAX_VIDEOS: 10,
+
+  // Fetch a creator's recorded history and draw both charts. Creators
+  // without history yet keep the section hidden.
+  async load(username) {
+    const section = document.getElementById("profile-growth");
+    if (!section) return;
+
+    try {
+      const history = await APIService.getProfileHistory(username);
+      document.getElementById("follower-chart").innerHTML =
+        this.renderFollowers(history.snapshots);
+      document.getElementById("velocity-chart").innerHTML =
+        this.renderVelocity(history.videos);
+      section.style.display = "";
+    } catch (error) {
+      console.log("ℹ️ No growth history yet:", error.message);
+    }
+  },
+
+  // Line chart of follower counts over time
+  renderFollowers(snapshots) {
+    const latest = snapshots[snapshots.length - 1];
+    if (snapshots.length < 2) {
+      return `
+            <p class="stat-number">${Utils.formatNumber(latest.followers)}</p>
+            <p class="growth-note">
+                Growth shows up once this profile has been fetched again.
+            </p>
+        `;
+    }
+
+    const { WIDTH, HEIGHT, PADDING } = this;
+    const times = snapshots.map((s) => Date.parse(s.at));
+    const values = snapshots.map((s) => s.followers);
+    const minTime = times[0];
+    const timeSpan = times[times.length - 1] - minTime || 1;
+    const minValue = Math.min(...values);
+    const valueSpan = Math.max(...values) - minValue || 1;
+
+    const x = (t) =>
+      PADDING + ((t - minTime) / timeSpan) * (WIDTH - 2 * PADDING);
+    const y = (v) =>
+      HEIGHT - PADDING - ((v - minValue) / valueSpan) * (HEIGHT - 2 * PADDING);
+    const points = snapshots
+      .map((s, i) => `${x(times[i]).toFixed(1)},${y(values[i]).toFixed(1)}`)
+      .join(" ");
+
+    const change = latest.followers - snapshots[0].followers;
+    const sign = change < 0 ? "-" : "+";
+    const date = (t) => new Date(t).toLocaleDateString();
+
+    return `
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img"
+                aria-label="Followers from ${Utils.formatNumber(
+                  values[0]
+                )} to ${Utils.formatNumber(latest.followers)}">
+                <defs>
+                    <linearGradient id="growth-line" x1="0" x2="1">
+                        <stop offset="0" stop-color="#22d3ee" />
+                        <stop offset="1" stop-color="#ec4899" />
+                    </linearGradient>
+                </defs>
+                <polyline points="${points}" fill="none"
+                    stroke="url(#growth-line)" stroke-width="3"
+                    stroke-linejoin="round" stroke-linecap="round" />
+                <text x="${PADDING}" y="14" fill="#9ca3af" font-size="12">
+                    ${Utils.formatNumber(Math.max(...values))}
+                </text>
+                <text x="${PADDING}" y="${HEIGHT - 4}" fill="#9ca3af" font-size="12">
+                    ${date(minTime)}
+                </text>
+                <text x="${WIDTH - PADDING}" y="${HEIGHT - 4}" fill="#9ca3af"
+                    font-size="12" text-anchor="end">
+                    ${date(times[times.length - 1])}
+                </text>
+            </svg>
+            <p class="growth-note">
+                ${sign}${Utils.formatNumber(Math.abs(change))} followers
+                across ${snapshots.length} snapshots
+            </p>
+        `;
+  },
+
+  // Horizontal bars of plays per hour for the newest videos
+  renderVelocity(videos) {
+    const shown = videos.slice(0, this.MAX_VIDEOS);
+    if (shown.length === 0) {
+      return '<p class="growth-note">No videos recorded yet.</p>';
+    }
+
+    const max = Math.max(...shown.map((v) => v.playsPerHour), 1);
+    return shown
+      .map((video) => {
+        const width = Math.max((video.playsPerHour / max) * 100, 1);
+        const label = VideoRenderer.escapeHtml(
+          video.description || `Video ${video.id}`
+        );
+        const measured =
+          video.velocitySource === "snapshots"
+            ? "measured between snapshots"
+            : "averaged since posting";
+        return `
+                <div class="velocity-row" title="${label} (${measured})">
+                    <span class="velocity-label">${label}</span>
+                    <span class="velocity-bar">
+                        <span class="velocity-fill" style="width: ${width.toFixed(
+                          1
+                        )}%; display: block"></span>
+                    </span>
+                    <span class="velocity-value">${Utils.formatNumber(
+                      video.playsPerHour
+                    )}/h</span>
+                </div>
+            `;
+      })
+      .join("");
+  },
+};
+
+// ======================
+// ANALYTICS
+// ======================
+
+const Analytics = {
+  // Stats come from the same dataset as the list but may still need a
+  // scrape, so a panel only loads the first time it is opened
+  attach(panel, load, render) {
+    const body = panel.querySelector(".stats-body");
+    let loaded = false;
+
+    panel.addEventListener("toggle", async () => {
+      if (!panel.open || loaded) return;
+      loaded = true;
+      body.innerHTML = `
+                <div class="loading-section">
+                    <div class="loading-spinner"></div>
+                    <p>Crunching the numbers...</p>
+                </div>
+            `;
+
+      try {
+        body.innerHTML = render.call(this, await load());
+      } catch (error) {
+        console.error("❌ Failed to load stats:", error);
+        loaded = false;
+        Utils.showError(body, error, "Failed to load stats");
+      }
+    });
+  },
+
+  percent(fraction) {
+    return `${(fraction * 100).toFixed(1)}%`;
+  },
+
+  videos(count) {
+    return `${count} ${count === 1 ? "video" : "videos"}`;
+  },
+
+  card(title, content) {
+    return `
+            <div class="stats-card">
+                <h3 class="stats-title">${title}</h3>
+                ${content}
+            </div>
+        `;
+  },
+
+  tiles(tiles) {
+    return `
+            <div class="video-detail-stats">
+                ${tiles
+                  .map(
+                    ([value, label]) => `
+                    <div class="profile-stat">
+                        <span class="stat-number">${value}</span>
+                        <span class="stat-label">${label}</span>
+                    </div>
+                `
+                  )
+                  .join("")}
+            </div>
+        `;
+  },
+
+  // Horizontal bars; each row is { label (HTML), value, text }
+  bars(rows, empty = "Nothing to show yet.") {
+    if (rows.length === 0) return `<p class="stats-note">${empty}</p>`;
+
+    const max = Math.max(...rows.map((row) => row.value), 1);
+    return rows
+      .map(
+        (row) => `
+                <div class="stats-bar-row">
+                    <span class="stats-bar-label">${row.label}</span>
+                    <span class="stats-bar">
+                        <span class="stats-bar-fill" style="width: ${Math.max(
+                          (row.value / max) * 100,
+                          row.value ? 1 : 0
+                        ).toFixed(1)}%"></span>
+                    </span>
+                    <span class="stats-bar-value">${row.text}</span>
+                </div>
+            `
+      )
+      .join("");
+  },
+
+  // Day × hour grid, shaded by how many videos were posted in each slot
+  heatmap({ days, counts, max, timezone }) {
+    const hours = Array.from({ length: 24 }, (_, hour) =>
+      hour % 6 === 0 ? `<span>${hour}</span>` : "<span></span>"
+    ).join("");
+    const rows = days
+      .map(
+        (day, index) => `
+                <span class="heatmap-day">${day}</span>
+                ${counts[index]
+                  .map((count, hour) => {
+                    const alpha = max ? (count / max).toFixed(2) : 0;
+                    const label = `${day} ${hour}:00 ${timezone}: ${this.videos(
+                      count
+                    )}`;
+                    return `<span class="heatmap-cell" style="--heat: ${alpha}" title="${label}"></span>`;
+                  })
+                  .join("")}
+            `
+      )
+      .join("");
+
+    return `
+            <div class="heatmap" role="img" aria-label="Posting times by weekday and hour">
+                <span></span>${hours}
+                ${rows}
+            </div>
+            <p class="stats-note">Hours in ${timezone}</p>
+        `;
+  },
+
+  tagLinks(tags) {
+    if (tags.length === 0) {
+      return '<p class="stats-note">No hashtags used.</p>';
+    }
+    return `
+            <div class="video-hashtags">
+                ${tags
+                  .map(
+                    ({ tag, videos }) => `
+                    <a href="/hashtag/${encodeURIComponent(tag)}" class="hashtag">
+                        #${VideoRenderer.escapeHtml(tag)} <small>${videos}</small>
+                    </a>
+                `
+                  )
+                  .join("")}
+            </div>
+        `;
+  },
+
+  renderHashtag(stats) {
+    if (stats.videoCount === 0) {
+      return '<p class="stats-note">No videos to analyze yet.</p>';
+    }
+
+    const creators = stats.topCreators.map((creator) => ({
+      label: `<a href="/profile/${encodeURIComponent(
+        creator.username
+      )}">@${VideoRenderer.escapeHtml(creator.username)}</a>`,
+      value: creator.plays,
+      text: `${Utils.formatNumber(creator.plays)} plays`,
+    }));
+    const engagement = stats.engagement.buckets.map((bucket) => ({
+      label: bucket.label,
+      value: bucket.videos,
+      text: this.videos(bucket.videos),
+    }));
+    const sounds = stats.topSounds.map((sound) => ({
+      label: `<a href="/sound/${encodeURIComponent(
+        sound.id
+      )}">${VideoRenderer.escapeHtml(sound.title)}</a>`,
+      value: sound.videos,
+      text: this.videos(sound.videos),
+    }));
+
+    return `
+            ${this.tiles([
+              [stats.videoCount, "Videos analyzed"],
+              [this.percent(stats.engagement.average), "Avg engagement"],
+              [this.percent(stats.engagement.median), "Median engagement"],
+            ])}
+            <div class="stats-grid">
+                ${this.card("Top creators by plays", this.bars(creators))}
+                ${this.card("Engagement rate", this.bars(engagement))}
+                ${this.card("Posting times", this.heatmap(stats.postingTimes))}
+                ${this.card("Top sounds", this.bars(sounds))}
+                ${this.card(
+                  "Used together with",
+                  this.tagLinks(stats.relatedHashtags)
+                )}
+            </div>
+        `;
+  },
+
+  // Best or worst videos, linked to their detail pages
+  videoList(videos) {
+    if (videos.length === 0) {
+      return '<p class="stats-note">Not enough videos.</p>';
+    }
+    return videos
+      .map(
+        (video) => `
+                <div class="stats-bar-row stats-video-row">
+                    <span class="stats-bar-label">
+                        <a href="/video/${encodeURIComponent(
+                          video.id
+                        )}">${VideoRenderer.escapeHtml(video.description)}</a>
+                    </span>
+                    <span class="stats-bar-value">${Utils.formatNumber(
+                      video.plays
+                    )} plays</span>
+                    <span class="stats-bar-value">${this.percent(
+                      video.engagementRate
+                    )}</span>
+                </div>
+            `
+      )
+      .join("");
+  },
+
+  renderCreator(stats) {
+    if (stats.videoCount === 0) {
+      return '<p class="stats-note">No videos to analyze yet.</p>';
+    }
+
+    const { cadence, hashtags } = stats;
+    const gap =
+      cadence.averageGapDays === null
+        ? "Only one video so far."
+        : `One video every ${cadence.averageGapDays} days on average, between
+                ${new Date(cadence.first).toLocaleDateString()} and
+                ${new Date(cadence.last).toLocaleDateString()}.`;
+
+    return `
+            ${this.tiles([
+              [Utils.formatNumber(stats.plays.average), "Avg plays"],
+              [Utils.formatNumber(stats.plays.median), "Median plays"],
+              [this.percent(stats.engagement.rate), "Engagement rate"],
+              [cadence.postsPerWeek, "Videos / week"],
+              [this.percent(stats.originalSoundShare), "Original sounds"],
+            ])}
+            <p class="stats-note">
+                Across ${this.videos(stats.videoCount)}. ${gap}
+                Per video, engagement averages
+                ${this.percent(stats.engagement.average)} (median
+                ${this.percent(stats.engagement.median)}).
+            </p>
+            <div class="stats-grid">
+                ${this.card("Best performers", this.videoList(stats.best))}
+                ${this.card("Worst performers", this.videoList(stats.worst))}
+                ${this.card(
+                  "Hashtag usage",
+                  `${this.tagLinks(hashtags.top)}
+                    <p class="stats-note">
+                        ${this.percent(hashtags.taggedShare)} of videos use
+                        hashtags, ${hashtags.averagePerVideo} per video on
+                        average.
+                    </p>`
+                )}
+            </div>
+        `;
+  },
+};
+
+// ======================
+// COMMENTS
+// ======================
+
+const Comments = {
+  KEYWORD_DELAY: 300,
+
+  // Comments cost an actor run, so the panel only loads once it scrolls
+  // near the viewport
+  attach(panel) {
+    const form = panel.querySelector(".comments-controls");
+    const list = panel.querySelector(".comments-list");
+    const state = { id: panel.dataset.videoId, request: 0 };
+
+    const reload = () =>
+      this.load(list, state, form.elements.sort.value, form.elements.q.value);
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      reload();
+    });
+    form.elements.sort.addEventListener("change", reload);
+    form.elements.q.addEventListener(
+      "input",
+      Utils.debounce(reload, this.KEYWORD_DELAY)
+    );
+
+    if (!("IntersectionObserver" in window)) {
+      reload();
+      return;
+    }
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (!entries.some((entry) => entry.isIntersecting)) return;
+        observer.disconnect();
+        reload();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(panel);
+  },
+
+  // Replace the list with the first page for this sort and keyword. A newer
+  // request wins over one still in flight.
+  async load(list, state, sort, q) {
+    const request = ++state.request;
+    const keyword = q.trim();
+    Pagination.detach(list);
+    list.innerHTML = `
+            <div class="loading-section">
+                <div class="loading-spinner"></div>
+                <p>Loading comments...</p>
+            </div>
+        `;
+
+    const loadMore = async (cursor) => {
+      const page = await APIService.getComments(state.id, {
+        sort,
+        q: keyword,
+        cursor,
+      });
+      if (request !== state.request) return null;
+      list.insertAdjacentHTML("beforeend", this.renderComments(page.data));
+      return page.nextCursor;
+    };
+
+    try {
+      const page = await APIService.getComments(state.id, {
+        sort,
+        q: keyword,
+      });
+      if (request !== state.request) return;
+
+      list.innerHTML =
+        page.data.length > 0
+          ? this.renderComments(page.data)
+          : `<p class="comments-empty">${
+              keyword
+                ? `No comments mention "${VideoRenderer.escapeHtml(keyword)}".`
+                : "No comments yet."
+            }</p>`;
+      Pagination.attach(list, page.nextCursor, loadMore);
+    } catch (error) {
+      if (request !== state.request) return;
+      console.error("❌ Failed to load comments:", error);
+      Utils.showError(list, error, "Failed to load comments");
+    }
+  },
+
+  renderComments(comments) {
+    return comments.map((comment) => this.renderComment(comment)).join("");
+  },
+
+  renderComment(comment) {
+    const username = VideoRenderer.escapeHtml(comment.author.username);
+    const badges = [
+      comment.pinned ? '<span class="comment-badge">📌 Pinned</span>' : "",
+      comment.likedByAuthor
+        ? '<span class="comment-badge">❤️ by creator</span>'
+        : "",
+    ].join("");
+    const date = comment.createdAt
+      ? `<time datetime="${new Date(
+          comment.createdAt * 1000
+        ).toISOString()}">${new Date(
+          comment.createdAt * 1000
+        ).toLocaleDateString()}</time>`
+      : "";
+
+    return `
+            <article class="comment">
+                <img src="${VideoRenderer.escapeHtml(comment.author.avatar)}"
+                    alt="" class="comment-avatar" loading="lazy"
+                    onerror="this.src='https://via.placeholder.com/150/1a1a1a/ffffff?text=TK'" />
+                <div class="comment-body">
+                    <a href="/profile/${encodeURIComponent(
+                      comment.author.username
+                    )}" class="comment-author">@${username}</a>
+                    <p class="comment-text">${VideoRenderer.escapeHtml(
+                      comment.text
+                    )}</p>
+                    <div class="comment-meta">
+                        <span>❤️ ${Utils.formatNumber(comment.likes)}</span>
+                        ${
+                          comment.replies > 0
+                            ? `<span>💬 ${Utils.formatNumber(
+                                comment.replies
+                              )} replies</span>`
+                            : ""
+                        }
+                        ${date}
+                        ${badges}
+                    </div>
+                </div>
+            </article>
+        `;
+  },
+};
+
+// ======================
+// INPUT RULES
+// ======================
+
+// Username, hashtag and query rules shared with the server, loaded from
+// /js/validation.js
+const Validation = window.TokViewValidation || null;
+
+const InputRules = {
+  // Run a validate* rule on an input and report its error through the
+  // browser's constraint validation. Empty inputs are left to `required`.
+  check(input, rule) {
+    if (!Validation) return { value: input.value.trim(), error: null };
+
+    const { value, error } = Validation[rule](input.value);
+    input.setCustomValidity(input.value.trim() && error ? error : "");
+    return { value, error };
+  },
+
+  // Validate as the user types and submit the canonical value, so
+  // "#Dance" and "dance " end up on the same page
+  attach(form, input, rule) {
+    input.addEventListener("input", () => this.check(input, rule));
+    form.addEventListener("submit", (event) => {
+      const { value, error } = this.check(input, rule);
+      if (error) {
+        event.preventDefault();
+        input.reportValidity();
+        return;
+      }
+      input.value = value;
+    });
+  },
+};
+
+// ======================
+// WATCHLISTS
+// ======================
+
+const Watchlist = {
+  // "+ Watch" / "✓ Watching" toggles on profile and hashtag pages
+  attachButtons() {
+    document.querySelectorAll(".watch-button").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const { watchType, watchValue } = button.dataset;
+        const watching = button.classList.contains("watching");
+        button.disabled = true;
+
+        try {
+          if (watching) {
+            await APIService.unwatch(watchType, watchValue);
+          } else {
+            await APIService.watch(watchType, watchValue);
+          }
+          this.setButton(button, !watching);
+        } catch (error) {
+          console.error("Watchlist update failed:", error);
+          alert(error.message);
+        } finally {
+          button.disabled = false;
+        }
+      });
+    });
+  },
+
+  setButton(button, watching) {
+    button.classList.toggle("watching", watching);
+    button.setAttribute("aria-pressed", watching ? "true" : "false");
+    button.textContent = watching ? "✓ Watching" : "+ Watch";
+  },
+
+  renderSources(watchlist) {
+    const chip = (type, value) => {
+      const safeValue = VideoRenderer.escapeHtml(value);
+      const safeLabel = `${type === "profile" ? "@" : "#"}${safeValue}`;
+      return `
+            <span class="watch-source">
+                <a href="/${type}/${encodeURIComponent(value)}">${safeLabel}</a>
+                <button
+                    type="button"
+                    class="watch-source-remove"
+                    data-watch-type="${type}"
+                    data-watch-value="${safeValue}"
+                    aria-label="Stop watching ${safeLabel}"
+                >×</button>
+            </span>
+        `;
+    };
+
+    return [
+      ...watchlist.usernames.map((value) => chip("profile", value)),
+      ...watchlist.hashtags.map((value) => chip("hashtag", value)),
+    ].join("");
+  },
+
+  // Add/remove form and chips on the feed page. `onChange` runs after the
+  // watchlist changed so the feed can reload.
+  attachManager(manager, onChange) {
+    const watchlistId = manager.dataset.watchlistId;
+    const form = manager.querySelector("#watch-form");
+    const sources = manager.querySelector("#watch-sources");
+    // Only admins get the form; everyone else sees the sources read-only
+    if (!form) return;
+
+    const update = async (change) => {
+      try {
+        const { watchlist } = await change();
+        sources.innerHTML = this.renderSources(watchlist);
+        onChange(watchlist);
+      } catch (error) {
+        console.error("Watchlist update failed:", error);
+        alert(error.message);
+      }
+    };
+
+    const input = form.elements.value;
+    const rule = () =>
+      form.elements.type.value === "profile"
+        ? "validateUsername"
+        : "validateHashtag";
+    const recheck = () => InputRules.check(input, rule());
+    input.addEventListener("input", recheck);
+    form.elements.type.addEventListener("change", recheck);
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      const type = form.elements.type.value;
+      const { value, error } = recheck();
+      if (!value) return;
+      if (error) {
+        input.reportValidity();
+        return;
+      }
+
+      update(() => APIService.watch(type, value, watchlistId)).then(() => {
+        input.value = "";
+      });
+    });
+
+    sources.addEventListener("click", (event) => {
+      const button = event.target.closest(".watch-source-remove");
+      if (!button) return;
+
+      const { watchType, watchValue } = button.dataset;
+      update(() => APIService.unwatch(watchType, watchValue, watchlistId));
+    });
+  },
+};
+
 // ======================
 // ENHANCED PAGE HANDLERS
 // ======================
 
 const PageHandlers = {
+  // Server-rendered pages already contain their videos (or error): wire up
+  // pagination and skip the initial fetch. Only the first call hydrates, so
+  // "Try Again" buttons still fetch from the API.
+  hydrate(container, loadMore) {
+    if (!("ssr" in container.dataset)) return false;
+
+    delete container.dataset.ssr;
+    Pagination.attach(
+      container,
+      container.dataset.nextCursor || null,
+      loadMore
+    );
+    console.log("✅ Hydrated server-rendered content");
+    return true;
+  },
+
   // Trending page handler
   async handleTrendingPage() {
     const container = document.getElementById("videos-container");
@@ -431,25 +1607,28 @@ const PageHandlers = {
       return;
     }
 
+    if (this.hydrate(container)) return;
+
     Utils.showLoading(container);
 
     try {
-      const data = await APIService.getTrending();
+      const data = await APIService.getTrending({
+        listOptions: ListOptions.current(),
+        onProgress: (job, items) => Utils.showProgress(container, job, items),
+      });
 
       if (data.success) {
         VideoRenderer.renderVideos(data.data, container);
       } else {
         Utils.showError(
           container,
-          data.error || "Failed to load trending videos"
+          data.error,
+          "Failed to load trending videos"
         );
       }
     } catch (error) {
       console.error("Trending page error:", error);
-      Utils.showError(
-        container,
-        error.message || "Failed to load trending content"
-      );
+      Utils.showError(container, error, "Failed to load trending content");
     }
   },
 
@@ -461,13 +1640,29 @@ const PageHandlers = {
       return;
     }
 
+    const listOptions = ListOptions.current();
+    const loadMore = async (cursor) => {
+      const page = await APIService.getHashtag(tag, {
+        cursor,
+        listOptions,
+      });
+      VideoRenderer.renderVideos(page.data, container, { append: true });
+      return page.nextCursor;
+    };
+
+    if (this.hydrate(container, loadMore)) return;
+
     Utils.showLoading(container);
 
     try {
-      const data = await APIService.getHashtag(tag);
+      const data = await APIService.getHashtag(tag, {
+        listOptions,
+        onProgress: (job, items) => Utils.showProgress(container, job, items),
+      });
 
       if (data.success) {
         VideoRenderer.renderVideos(data.data, container);
+        Pagination.attach(container, data.nextCursor, loadMore);
 
         // Update page title with count
         const titleElement = document.querySelector(".page-title");
@@ -475,14 +1670,57 @@ const PageHandlers = {
           titleElement.textContent = `#${tag} (${data.count} videos)`;
         }
       } else {
-        Utils.showError(container, data.error || `No videos found for #${tag}`);
+        Utils.showError(container, data.error, `No videos found for #${tag}`);
       }
     } catch (error) {
       console.error("Hashtag page error:", error);
-      Utils.showError(
-        container,
-        error.message || `Failed to load content for #${tag}`
-      );
+      Utils.showError(container, error, `Failed to load content for #${tag}`);
+    }
+  },
+
+  // Sound page handler
+  async handleSoundPage(id) {
+    const container = document.getElementById("videos-container");
+    if (!container) {
+      console.error("❌ videos-container not found");
+      return;
+    }
+
+    const listOptions = ListOptions.current();
+    const loadMore = async (cursor) => {
+      const page = await APIService.getSound(id, {
+        cursor,
+        listOptions,
+      });
+      VideoRenderer.renderVideos(page.data, container, { append: true });
+      return page.nextCursor;
+    };
+
+    if (this.hydrate(container, loadMore)) return;
+
+    Utils.showLoading(container);
+
+    try {
+      const data = await APIService.getSound(id, {
+        listOptions,
+        onProgress: (job, items) => Utils.showProgress(container, job, items),
+      });
+
+      if (data.success) {
+        // The server couldn't render the sound's details, so reload once
+        // they are cached
+        if (!document.getElementById("sound-info")) {
+          window.location.reload();
+          return;
+        }
+        VideoRenderer.renderVideos(data.data, container);
+        Pagination.attach(container, data.nextCursor, loadMore);
+      } else {
+        Utils.showError(container, data.error, "No videos use this sound");
+      }
+    } catch (error) {
+      console.error("Sound page error:", error);
+      Utils.showError(container, error, `Failed to load sound ${id}`);
     }
   },
 
@@ -496,10 +1734,28 @@ const PageHandlers = {
       return;
     }
 
+    const listOptions = ListOptions.current();
+    const loadMore = async (cursor) => {
+      const page = await APIService.getProfile(username, {
+        cursor,
+        listOptions,
+      });
+      VideoRenderer.renderVideos(page.videos, container, { append: true });
+      return page.nextCursor;
+    };
+
+    if (this.hydrate(container, loadMore)) {
+      GrowthCharts.load(username);
+      return;
+    }
+
     Utils.showLoading(container);
 
     try {
-      const data = await APIService.getProfile(username);
+      const data = await APIService.getProfile(username, {
+        listOptions,
+        onProgress: (job, items) => Utils.showProgress(container, job, items),
+      });
 
       if (data.success) {
         // Render profile info if container exists
@@ -510,6 +1766,8 @@ const PageHandlers = {
 
         // Render videos
         VideoRenderer.renderVideos(data.videos, container);
+        Pagination.attach(container, data.nextCursor, loadMore);
+        GrowthCharts.load(username);
 
         // Update page title with video count
         const titleElement = document.querySelector(".page-title");
@@ -519,19 +1777,13 @@ const PageHandlers = {
       } else {
         Utils.showError(
           container,
-          data.error || `Profile @${username} not found`
+          data.error,
+          `Profile @${username} not found`
         );
       }
     } catch (error) {
       console.error("Profile page error:", error);
-      // Enhanced error message for profile errors
-      let errorMessage = error.message;
-      if (error.message.includes("not found")) {
-        errorMessage = `User @${username} not found. Please check the username and try again.`;
-      } else if (error.message.includes("private")) {
-        errorMessage = `User @${username}'s account is private and cannot be accessed.`;
-      }
-      Utils.showError(container, errorMessage);
+      Utils.showError(container, error, `Failed to load @${username}`);
     }
   },
 
@@ -582,6 +1834,169 @@ const PageHandlers = {
         `;
   },
 
+  // Render the creators and hashtags found by a search
+  renderSearchGroups(data) {
+    const users = data.users || [];
+    const hashtags = data.hashtags || [];
+    const terms = data.terms || { include: [], exclude: [] };
+    const termChip = (term, extraClass = "") =>
+      `<span class="match-term ${extraClass}">${VideoRenderer.escapeHtml(
+        term
+      )}</span>`;
+    let html = "";
+
+    // Which sources a compound query fetched and what it filtered out
+    if (terms.include.length > 1 || terms.exclude.length > 0) {
+      html += `
+            <section class="search-group search-terms">
+                <span class="video-matches-label">Sources</span>
+                ${terms.include.map((term) => termChip(term)).join("")}
+                ${
+                  terms.exclude.length > 0
+                    ? `<span class="video-matches-label">Excluding</span>
+                       ${terms.exclude
+                         .map((term) => termChip(term, "match-term-excluded"))
+                         .join("")}`
+                    : ""
+                }
+            </section>
+        `;
+    }
+
+    if (users.length > 0) {
+      html += `
+            <section class="search-group">
+                <h2 class="search-group-title">Creators</h2>
+                <div class="user-results">
+                    ${users
+                      .map((user) => {
+                        const safeUsername = VideoRenderer.escapeHtml(
+                          user.username
+                        );
+                        return `
+                        <a href="/profile/${encodeURIComponent(
+                          user.username
+                        )}" class="user-result">
+                            <img 
+                                src="${user.avatar}" 
+                                alt="${safeUsername}'s avatar"
+                                class="creator-avatar"
+                                onerror="this.src='https://via.placeholder.com/150/1a1a1a/ffffff?text=TK'"
+                            >
+                            <span class="user-result-name">
+                                @${safeUsername}${
+                          user.verified
+                            ? ' <span class="verified-inline">✓</span>'
+                            : ""
+                        }
+                            </span>
+                            <span class="user-result-meta">
+                                ${Utils.formatNumber(
+                                  user.followers
+                                )} followers · ${user.videoCount} in results
+                            </span>
+                        </a>
+                    `;
+                      })
+                      .join("")}
+                </div>
+            </section>
+        `;
+    }
+
+    if (hashtags.length > 0) {
+      html += `
+            <section class="search-group">
+                <h2 class="search-group-title">Hashtags</h2>
+                <div class="hashtag-results">
+                    ${hashtags
+                      .map(
+                        (hashtag) => `
+                        <a href="/hashtag/${encodeURIComponent(
+                          hashtag.name
+                        )}" class="hashtag hashtag-result">
+                            #${VideoRenderer.escapeHtml(hashtag.name)}
+                            <span class="hashtag-result-count">${
+                              hashtag.videoCount
+                            }</span>
+                        </a>
+                    `
+                      )
+                      .join("")}
+                </div>
+            </section>
+        `;
+    }
+
+    return html;
+  },
+
+  // Feed page handler: merged videos from a watchlist
+  async handleFeedPage(watchlistId) {
+    const container = document.getElementById("videos-container");
+    const manager = document.getElementById("watchlist-manager");
+    if (!container) {
+      console.error("❌ videos-container not found");
+      return;
+    }
+
+    const listOptions = ListOptions.current();
+    const loadMore = async (cursor) => {
+      const page = await APIService.getFeed(watchlistId, {
+        cursor,
+        listOptions,
+      });
+      VideoRenderer.renderVideos(page.data, container, { append: true });
+      return page.nextCursor;
+    };
+
+    if (manager && !manager.dataset.attached) {
+      manager.dataset.attached = "true";
+      // Sort/filter controls only render with sources, so reload the page
+      // when the first one is added or the last one removed
+      Watchlist.attachManager(manager, (watchlist) => {
+        const count = watchlist.usernames.length + watchlist.hashtags.length;
+        if (count === 0 || !document.getElementById("list-controls")) {
+          window.location.reload();
+        } else {
+          Pagination.detach(container);
+          this.handleFeedPage(watchlistId);
+        }
+      });
+    }
+
+    if (this.hydrate(container, loadMore)) return;
+
+    Utils.showLoading(container);
+
+    try {
+      const data = await APIService.getFeed(watchlistId, { listOptions });
+
+      if (data.success) {
+        VideoRenderer.renderVideos(data.data, container);
+        Pagination.attach(container, data.nextCursor, loadMore);
+      } else {
+        Utils.showError(container, data.error, "Failed to load your feed");
+      }
+    } catch (error) {
+      console.error("Feed page error:", error);
+      Utils.showError(container, error, "Failed to load your feed");
+    }
+  },
+
+  // Video page: only used when the server stopped waiting for the scraper.
+  // Once the API answers the video is cached, so reloading renders it.
+  async handleVideoPage(id) {
+    const container = document.getElementById("loading-section");
+    try {
+      await APIService.getVideo(id);
+      window.location.reload();
+    } catch (error) {
+      console.error("Video page error:", error);
+      Utils.showError(container, error, `Failed to load video ${id}`);
+    }
+  },
+
   // Search page handler
   async handleSearchPage(query) {
     const container = document.getElementById("videos-container");
@@ -590,13 +2005,34 @@ const PageHandlers = {
       return;
     }
 
+    const listOptions = ListOptions.current();
+    const loadMore = async (cursor) => {
+      const page = await APIService.search(query, {
+        cursor,
+        listOptions,
+      });
+      VideoRenderer.renderVideos(page.data, container, { append: true });
+      return page.nextCursor;
+    };
+
+    if (this.hydrate(container, loadMore)) return;
+
     Utils.showLoading(container);
 
     try {
-      const data = await APIService.search(query);
+      const data = await APIService.search(query, {
+        listOptions,
+        onProgress: (job, items) => Utils.showProgress(container, job, items),
+      });
 
       if (data.success) {
+        const groupsContainer = document.getElementById("search-groups");
+        if (groupsContainer) {
+          groupsContainer.innerHTML = this.renderSearchGroups(data);
+        }
+
         VideoRenderer.renderVideos(data.data, container);
+        Pagination.attach(container, data.nextCursor, loadMore);
 
         // Update search results title
         const titleElement = document.querySelector(".page-title");
@@ -608,15 +2044,13 @@ const PageHandlers = {
       } else {
         Utils.showError(
           container,
-          data.error || `No results found for "${query}"`
+          data.error,
+          `No results found for "${query}"`
         );
       }
     } catch (error) {
       console.error("Search page error:", error);
-      Utils.showError(
-        container,
-        error.message || `Search failed for "${query}"`
-      );
+      Utils.showError(container, error, `Search failed for "${query}"`);
     }
   },
 };
@@ -654,12 +2088,22 @@ window.APIService = APIService;
 window.VideoRenderer = VideoRenderer;
 window.Utils = Utils;
 window.PageHandlers = PageHandlers;
+window.Pagination = Pagination;
+window.ListOptions = ListOptions;
+window.Watchlist = Watchlist;
+window.InputRules = InputRules;
+window.GrowthCharts = GrowthCharts;
+window.Comments = Comments;
+window.Analytics = Analytics;
 
 // Global functions for EJS templates
 window.loadTrendingVideos = PageHandlers.handleTrendingPage.bind(PageHandlers);
 window.loadHashtagVideos = PageHandlers.handleHashtagPage.bind(PageHandlers);
 window.loadProfileVideos = PageHandlers.handleProfilePage.bind(PageHandlers);
 window.loadSearchResults = PageHandlers.handleSearchPage.bind(PageHandlers);
+window.loadFeedVideos = PageHandlers.handleFeedPage.bind(PageHandlers);
+window.loadVideoPage = PageHandlers.handleVideoPage.bind(PageHandlers);
+window.loadSoundVideos = PageHandlers.handleSoundPage.bind(PageHandlers);
 
 // Helper function for search pages
 window.performSearch = function (query) {
@@ -698,9 +2142,8 @@ document.addEventListener("DOMContentLoaded", function () {
       .then((data) => {
         console.log("✅ API Health Check Result:", data);
 
-        // Log API configuration status
-        if (data.apiKeyConfigured === false) {
-          console.warn("⚠️ API key not properly configured on server");
+        if (data.status !== "OK") {
+          console.warn("⚠️ API server is not responding normally");
         }
       })
       .catch((error) => console.error("❌ API Health Check Failed:", error));
@@ -727,9 +2170,44 @@ document.addEventListener("DOMContentLoaded", function () {
           e.preventDefault();
         }
       });
+      InputRules.attach(form, input, "validateQuery");
     }
   });
 
+  // A click anywhere on a card outside its links and player opens the
+  // video page
+  document.addEventListener("click", (event) => {
+    const card = event.target.closest(".video-card[data-video-id]");
+    if (!card || event.target.closest("a, button, iframe")) return;
+    window.location.href = `/video/${encodeURIComponent(card.dataset.videoId)}`;
+  });
+
+  const listControls = document.getElementById("list-controls");
+  if (listControls) ListOptions.attach(listControls);
+
+  Watchlist.attachButtons();
+
+  const hashtagStats = document.getElementById("hashtag-stats");
+  if (hashtagStats) {
+    Analytics.attach(
+      hashtagStats,
+      () => APIService.getHashtagStats(hashtagStats.dataset.tag),
+      Analytics.renderHashtag
+    );
+  }
+
+  const profileStats = document.getElementById("profile-stats");
+  if (profileStats) {
+    Analytics.attach(
+      profileStats,
+      () => APIService.getProfileStats(profileStats.dataset.username),
+      Analytics.renderCreator
+    );
+  }
+
+  const commentsPanel = document.getElementById("comments-panel");
+  if (commentsPanel) Comments.attach(commentsPanel);
+
   // Add smooth scrolling for anchor links
   document.querySelectorAll('a[href^="#"]').forEach((anchor) => {
     anchor.addEventListener("click", function (e) {
@@ -0,0 +1,107 @@
+// public/js/error-codes.js - Error codes shared by the server and the browser
+//
+// API errors answer with { success: false, code, error, message }, where
+// `code` is one of the keys below. The pages load this file as a plain
+// script and the server imports it (services/errors.js), so both read the
+// same table from globalThis.TokViewErrorCodes.
+//
+//   status - HTTP status the server answers with
+//   title  - heading the client shows
+//   hint   - what the user can do about it
+//   action - recovery the client offers: "retry", "wait" (count down to
+//            Retry-After), "search", "home" or "login"
+(function (root) {
+  root.TokViewErrorCodes = {
+    VALIDATION: {
+      status: 400,
+      title: "Check your input",
+      hint: "Some of the values you entered aren't valid.",
+      action: "search",
+    },
+    AUTH_REQUIRED: {
+      status: 401,
+      title: "Login required",
+      hint: "This page is only available to admins.",
+      action: "login",
+    },
+    AUTH_INVALID: {
+      status: 401,
+      title: "Invalid credentials",
+      hint: "The API key or admin token sent with the request was rejected.",
+      action: "login",
+    },
+    FORBIDDEN: {
+      status: 403,
+      title: "Not allowed",
+      hint: "This action is disabled on this server.",
+      action: "home",
+    },
+    PRIVATE_ACCOUNT: {
+      status: 403,
+      title: "This account is private",
+      hint: "Only public accounts can be viewed.",
+      action: "search",
+    },
+    NOT_FOUND: {
+      status: 404,
+      title: "Not found",
+      hint: "Check the spelling or search for something else.",
+      action: "search",
+    },
+    NO_RESULTS: {
+      status: 404,
+      title: "No videos found",
+      hint: "Try a different hashtag, creator or keyword.",
+      action: "search",
+    },
+    RATE_LIMITED: {
+      status: 429,
+      title: "Slow down a little",
+      hint: "You've made a lot of requests in a short time.",
+      action: "wait",
+    },
+    INTERNAL: {
+      status: 500,
+      title: "Something went wrong",
+      hint: "Please try again in a moment.",
+      action: "retry",
+    },
+    UPSTREAM_ERROR: {
+      status: 502,
+      title: "TikTok data is unavailable",
+      hint: "The data source failed. Trying again usually helps.",
+      action: "retry",
+    },
+    UPSTREAM_AUTH: {
+      status: 503,
+      title: "Data source not configured",
+      hint: "The server's Apify API key is missing or invalid.",
+      action: "home",
+    },
+    UPSTREAM_RATE_LIMITED: {
+      status: 503,
+      title: "Data source is busy",
+      hint: "The data source is rate limiting us. Try again in a few minutes.",
+      action: "retry",
+    },
+    BUDGET_EXCEEDED: {
+      status: 503,
+      title: "Data budget reached",
+      hint: "New searches are paused until next month. Cached pages still work.",
+      action: "home",
+    },
+    UPSTREAM_TIMEOUT: {
+      status: 504,
+      title: "The data source timed out",
+      hint: "Fetching took too long. Try again in a moment.",
+      action: "retry",
+    },
+    // Client only: the request never reached the server
+    NETWORK: {
+      status: 0,
+      title: "Network connection failed",
+      hint: "Check your internet connection and try again.",
+      action: "retry",
+    },
+  };
+})(typeof window !== "undefined" ? window : globalThis);
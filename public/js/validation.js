@@ -0,0 +1,138 @@
+// public/js/validation.js - Input rules shared by the server and the browser
+//
+// Usernames, hashtags, search queries and TikTok ids are normalized the same way
+// everywhere, so "@ChefJohn", "chefjohn " and "＠chefjohn" all mean the same
+// creator and share one cache entry. The pages load this file as a plain
+// script and the server imports it (services/validation.js), so both read
+// the same rules from globalThis.TokViewValidation.
+//
+// Each validate* function returns { value, error }: the canonical value, and
+// a message when it isn't usable.
+(function (root) {
+  const LIMITS = {
+    username: { min: 2, max: 24 },
+    hashtag: { min: 2, max: 100 },
+    query: { max: 200 },
+  };
+
+  // TikTok usernames are ASCII; hashtags may use any script
+  const USERNAME = /^[a-z0-9._]+$/;
+  const HASHTAG = /^[\p{L}\p{M}\p{N}_]+$/u;
+  // Video and sound ids are numeric strings too long for a JS number
+  const NUMERIC_ID = /^\d{1,30}$/;
+
+  // Same tokens as the server's query language: optional "-", then a
+  // "quoted phrase" or a bare word
+  const TOKEN = /(-?)(?:"([^"]*)"|(\S+))/g;
+
+  // Full-width and compatibility characters become their plain forms
+  const clean = (value) =>
+    String(value == null ? "" : value)
+      .normalize("NFKC")
+      .trim();
+
+  // Length in characters, not UTF-16 units
+  const length = (value) => Array.from(value).length;
+
+  function normalizeUsername(value) {
+    return clean(value).replace(/^@+/, "").toLowerCase();
+  }
+
+  function normalizeHashtag(value) {
+    return clean(value).replace(/^#+/, "").toLowerCase();
+  }
+
+  // Single spaces between terms, with #tags and @names in canonical form.
+  // Keywords keep their case for display.
+  function normalizeQuery(value) {
+    return clean(value)
+      .replace(/\s+/g, " ")
+      .replace(TOKEN, (token, minus, phrase, word) => {
+        if (word === undefined || word.length < 2) return token;
+        if (word.startsWith("#")) return minus + "#" + normalizeHashtag(word);
+        if (word.startsWith("@")) return minus + "@" + normalizeUsername(word);
+        return token;
+      });
+  }
+
+  function checkLength(label, value, { min, max }) {
+    if (!value) return `${label} is required`;
+    if (length(value) < min) {
+      return `${label} must be at least ${min} characters`;
+    }
+    if (length(value) > max) {
+      return `${label} must be at most ${max} characters`;
+    }
+    return null;
+  }
+
+  function validateUsername(input) {
+    const value = normalizeUsername(input);
+    const error =
+      checkLength("Username", value, LIMITS.username) ||
+      (USERNAME.test(value)
+        ? null
+        : "Usernames can only contain letters, numbers, underscores and " +
+          "periods");
+    return { value, error };
+  }
+
+  function validateHashtag(input) {
+    const value = normalizeHashtag(input);
+    const error =
+      checkLength("Hashtag", value, LIMITS.hashtag) ||
+      (HASHTAG.test(value)
+        ? null
+        : "Hashtags can only contain letters, numbers and underscores");
+    return { value, error };
+  }
+
+  function validateId(label, input) {
+    const value = clean(input);
+    let error = null;
+    if (!value) error = `${label} id is required`;
+    else if (!NUMERIC_ID.test(value)) error = `${label} id must be a number`;
+    return { value, error };
+  }
+
+  const validateVideoId = (input) => validateId("Video", input);
+  const validateSoundId = (input) => validateId("Sound", input);
+
+  // The query as a whole, then every #tag and @name in it. A lone "#" or
+  // "@" is ignored like the query language does.
+  function validateQuery(input) {
+    const value = normalizeQuery(input);
+    if (!value) return { value, error: "Search query is required" };
+    if (length(value) > LIMITS.query.max) {
+      return {
+        value,
+        error: `Search query must be at most ${LIMITS.query.max} characters`,
+      };
+    }
+
+    for (const [, , , word] of value.matchAll(TOKEN)) {
+      if (word === undefined || word.length < 2) continue;
+      const check = word.startsWith("#")
+        ? validateHashtag(word)
+        : word.startsWith("@")
+        ? validateUsername(word)
+        : null;
+      if (check && check.error) {
+        return { value, error: `${word}: ${check.error}` };
+      }
+    }
+    return { value, error: null };
+  }
+
+  root.TokViewValidation = {
+    LIMITS,
+    normalizeUsername,
+    normalizeHashtag,
+    normalizeQuery,
+    validateUsername,
+    validateHashtag,
+    validateQuery,
+    validateVideoId,
+    validateSoundId,
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,149 @@
+// routes/admin.js - Maintenance endpoints: diagnostics, cache and scheduled
+// refreshes. Every route needs admin credentials (see services/auth.js).
+import express from "express";
+import { cache } from "../services/scraper.js";
+import { requireAdmin } from "../services/auth.js";
+import { AppError, sendError } from "../services/errors.js";
+import {
+  getDiagnostics,
+  listCacheEntries,
+  recentErrors,
+} from "../services/diagnostics.js";
+import {
+  scheduler,
+  listSchedules,
+  addSchedule,
+  updateSchedule,
+  removeSchedule,
+  runSchedule,
+} from "../services/scheduler.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Wrap a handler with the shared error response
+const adminRoute = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error("Admin API error:", error.message);
+    sendError(res, error, "Admin request failed");
+  }
+};
+
+// ======================
+// DIAGNOSTICS
+// ======================
+
+// Provider and API key status, cache and scraper stats, recent errors
+router.get(
+  "/diagnostics",
+  adminRoute(async (req, res) => {
+    res.json({ success: true, ...(await getDiagnostics()) });
+  })
+);
+
+router.get(
+  "/errors",
+  adminRoute(async (req, res) => {
+    res.json({ success: true, errors: recentErrors() });
+  })
+);
+
+// ======================
+// CACHE
+// ======================
+
+router.get(
+  "/cache",
+  adminRoute(async (req, res) => {
+    res.json({ success: true, entries: await listCacheEntries() });
+  })
+);
+
+// Drop one dataset so the next request fetches it again
+router.delete(
+  "/cache/:key",
+  adminRoute(async (req, res) => {
+    if (!(await cache.peek(req.params.key))) {
+      return sendError(
+        res,
+        new AppError("NOT_FOUND", `Cache entry "${req.params.key}" not found`)
+      );
+    }
+    await cache.delete(req.params.key);
+    res.json({ success: true });
+  })
+);
+
+// ======================
+// SCHEDULES
+// ======================
+
+// All schedules with their last results, plus today's run budget and
+// whether this process is the one running them
+router.get(
+  "/schedules",
+  adminRoute(async (req, res) => {
+    res.json({
+      success: true,
+      schedulerRunning: scheduler.running,
+      ...(await listSchedules()),
+    });
+  })
+);
+
+// Add a schedule:
+// { type: "hashtag", params: { tag: "dance" }, schedule: "*/30 * * * *" }
+router.post(
+  "/schedules",
+  adminRoute(async (req, res) => {
+    const schedule = await addSchedule(req.body);
+    res.status(201).json({ success: true, schedule });
+  })
+);
+
+// Change the expression or pause state: { schedule?, paused? }
+router.patch(
+  "/schedules/:id",
+  adminRoute(async (req, res) => {
+    const schedule = await updateSchedule(req.params.id, req.body || {});
+    res.json({ success: true, schedule });
+  })
+);
+
+router.post(
+  "/schedules/:id/pause",
+  adminRoute(async (req, res) => {
+    const schedule = await updateSchedule(req.params.id, { paused: true });
+    res.json({ success: true, schedule });
+  })
+);
+
+router.post(
+  "/schedules/:id/resume",
+  adminRoute(async (req, res) => {
+    const schedule = await updateSchedule(req.params.id, { paused: false });
+    res.json({ success: true, schedule });
+  })
+);
+
+// Run a schedule now and wait for its result
+router.post(
+  "/schedules/:id/run",
+  adminRoute(async (req, res) => {
+    const schedule = await runSchedule(req.params.id);
+    res.json({ success: true, schedule });
+  })
+);
+
+router.delete(
+  "/schedules/:id",
+  adminRoute(async (req, res) => {
+    const schedule = await removeSchedule(req.params.id);
+    res.json({ success: true, schedule });
+  })
+);
+
+export default router;
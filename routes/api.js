@@ -1,465 +1,689 @@
-// routes/api.js - Fixed Version (No timeout option)
+// routes/api.js - API routes backed by the configured scraper provider
 import express from "express";
-import { ApifyClient } from "apify-client";
 import dotenv from "dotenv";
+import { provider, cache, runScraper } from "../services/scraper.js";
+import { mapVideos } from "../services/mappers.js";
+import { loadList } from "../services/queries.js";
+import {
+  parseExportFormat,
+  sendExport,
+  EXPORT_MAX_LIMIT,
+} from "../services/export.js";
+import { loadFeed } from "../services/feed.js";
+import { loadVideo } from "../services/video.js";
+import { loadComments } from "../services/comments.js";
+import {
+  loadHashtagStats,
+  loadCreatorStats,
+} from "../services/analytics.js";
+import { getProfileHistory, getVideoHistory } from "../services/history.js";
+import {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  addSource,
+  removeSource,
+  DEFAULT_WATCHLIST,
+} from "../services/watchlists.js";
+import {
+  createJob,
+  getJob,
+  isFinished,
+  POLL_INTERVAL,
+} from "../services/jobs.js";
+import {
+  listAlerts,
+  getAlert,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  testAlert,
+} from "../services/alerts.js";
+import { rateLimit } from "../services/rate-limit.js";
+import { requireAdmin } from "../services/auth.js";
+import { recordError } from "../services/diagnostics.js";
+import { getUsage } from "../services/usage.js";
+import {
+  AppError,
+  errorBody,
+  errorStatus,
+  sendError,
+} from "../services/errors.js";
+import { parseUsername, normalizeUsername } from "../services/validation.js";
 
 dotenv.config();
 
 const router = express.Router();
 
-// ======================
-// ENHANCED APIFY CLIENT SETUP
-// ======================
-const APIFY_TOKEN = process.env.APIFY_API_KEY;
-
-// Comprehensive API key validation
-let client = null;
-let apiStatus = {
-  configured: false,
-  valid: false,
-  message: "Not configured",
-  user: null,
-};
+// Per-client request limits, with stricter ones for cache misses
+router.use(rateLimit());
 
-async function initializeApifyClient() {
-  // Check if API key is set
-  if (!APIFY_TOKEN || APIFY_TOKEN === "your_actual_apify_api_key_here") {
-    apiStatus.message = "API key not configured in environment variables";
-    console.error("❌ " + apiStatus.message);
-    return;
-  }
+// Keep server errors for the admin dashboard
+router.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      recordError("api", body?.error || `HTTP ${res.statusCode}`, {
+        path: req.originalUrl,
+      });
+    }
+    return json(body);
+  };
+  next();
+});
 
-  // Validate API key format
-  if (!APIFY_TOKEN.startsWith("apify_api_")) {
-    apiStatus.message = 'Invalid API key format. Must start with "apify_api_"';
-    console.error("❌ " + apiStatus.message);
-    return;
-  }
+// Status of the configured data source, reported by /test
+const apiStatus = provider.status;
 
-  try {
-    console.log("🔄 Initializing Apify client...");
+// Exports (?format=csv|json|ndjson) may ask for more rows than a page
+const listLimits = (format) => (format ? { maxLimit: EXPORT_MAX_LIMIT } : {});
 
-    // CORRECTED: Simple initialization without timeout
-    client = new ApifyClient({
-      token: APIFY_TOKEN,
-    });
+// ======================
+// ENHANCED API ROUTES
+// ======================
 
-    // Test authentication immediately
-    const user = await client.user().get();
-    apiStatus.configured = true;
-    apiStatus.valid = true;
-    apiStatus.user = user.username;
-    apiStatus.message = `Authenticated as: ${user.username}`;
+// Public liveness check. Configuration and cache details are in the
+// admin-only /api/admin/diagnostics.
+router.get("/health", (req, res) => {
+  res.json({
+    status: "OK",
+    timestamp: new Date().toISOString(),
+  });
+});
 
-    console.log("✅ Apify client initialized successfully");
-    console.log(`✅ Authenticated as: ${user.username}`);
-  } catch (error) {
-    apiStatus.configured = true;
-    apiStatus.valid = false;
-
-    if (
-      error.message.includes("invalid token") ||
-      error.message.includes("unauthorized")
-    ) {
-      apiStatus.message = "Invalid API token. Please check your Apify API key.";
-    } else if (error.message.includes("rate limit")) {
-      apiStatus.message = "API rate limit exceeded. Please try again later.";
-    } else {
-      apiStatus.message = `API connection failed: ${error.message}`;
+// Get trending videos
+router.get("/trending", async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadList(
+      "trending",
+      {},
+      req.query,
+      listLimits(format)
+    );
+
+    if (format) {
+      return sendExport(res, format, {
+        name: "trending",
+        videos: payload.data,
+      });
     }
 
-    console.error("❌ Apify authentication failed:", error.message);
-    client = null;
+    res.json({
+      success: true,
+      ...payload,
+    });
+  } catch (error) {
+    console.error("Trending API error:", error);
+    sendError(res, error, "Failed to fetch trending videos");
   }
-}
-
-// Initialize on startup
-initializeApifyClient();
+});
 
-const ACTOR_NAME = "clockworks/tiktok-scraper";
+// Get videos by hashtag
+router.get("/hashtag/:tag", async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadList(
+      "hashtag",
+      { tag: req.params.tag },
+      req.query,
+      listLimits(format)
+    );
 
-// ======================
-// ENHANCED SCRAPER WITH BETTER ERROR HANDLING
-// ======================
+    if (format) {
+      return sendExport(res, format, {
+        name: `hashtag-${payload.hashtag}`,
+        videos: payload.data,
+      });
+    }
 
-const cache = new Map();
-const CACHE_DURATION = 5 * 60 * 1000;
+    res.json({
+      success: true,
+      ...payload,
+    });
+  } catch (error) {
+    console.error("Hashtag API error:", error);
+    sendError(res, error, `Failed to fetch videos for #${req.params.tag}`);
+  }
+});
 
-async function runScraper(input, cacheKey = null, username = null) {
-  // Check API status first
-  if (!apiStatus.valid) {
-    throw new Error(`API configuration error: ${apiStatus.message}`);
+// Creators, related hashtags, engagement, posting times and sounds across
+// the videos scraped for a hashtag
+router.get("/hashtag/:tag/stats", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await loadHashtagStats(req.params.tag)),
+    });
+  } catch (error) {
+    console.error("Hashtag stats API error:", error);
+    sendError(res, error, `Failed to compute stats for #${req.params.tag}`);
   }
+});
 
-  if (!client) {
-    throw new Error(
-      "Apify client not available. Please check server configuration."
+// Videos using a sound, with the sound's metadata and usage counts
+router.get("/sound/:id", async (req, res) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadList(
+      "sound",
+      { id: req.params.id },
+      req.query,
+      listLimits(format)
     );
-  }
 
-  // Check cache
-  if (cacheKey && cache.has(cacheKey)) {
-    const cached = cache.get(cacheKey);
-    if (Date.now() - cached.timestamp < CACHE_DURATION) {
-      console.log(`✅ Using cached data for: ${cacheKey}`);
-      return cached.data;
+    if (format) {
+      return sendExport(res, format, {
+        name: `sound-${payload.sound.id}`,
+        videos: payload.data,
+      });
     }
+
+    res.json({
+      success: true,
+      ...payload,
+    });
+  } catch (error) {
+    console.error("Sound API error:", error);
+    sendError(
+      res,
+      error,
+      `Failed to fetch videos for sound ${req.params.id}`
+    );
   }
+});
 
+// Get profile and videos
+router.get("/profile/:username", async (req, res) => {
   try {
-    console.log(`🔄 Fetching from Apify for: ${cacheKey || "unknown"}`);
-
-    const run = await client.actor(ACTOR_NAME).call(input);
-    console.log(`✅ Apify run started: ${run.id}`);
-
-    const { items } = await client.dataset(run.defaultDatasetId).listItems();
-    console.log(`✅ Received ${items.length} items from Apify`);
-
-    if (!items || items.length === 0) {
-      if (username) {
-        throw new Error(
-          `User @${username} not found, account is private, or has no public videos.`
-        );
-      } else {
-        throw new Error(
-          "No content found for this search. Try a different query."
-        );
-      }
-    }
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadList(
+      "profile",
+      { username: req.params.username },
+      req.query,
+      listLimits(format)
+    );
 
-    // Cache successful results
-    if (cacheKey) {
-      cache.set(cacheKey, {
-        data: items,
-        timestamp: Date.now(),
+    if (format) {
+      return sendExport(res, format, {
+        name: `profile-${normalizeUsername(req.params.username)}`,
+        videos: payload.videos,
+        profile: payload.profile,
       });
     }
 
-    return items;
+    res.json({
+      success: true,
+      ...payload,
+    });
   } catch (error) {
-    console.error("❌ Apify scraper error:", error.message);
-
-    // Enhanced error categorization
-    if (
-      error.message.includes("invalid token") ||
-      error.message.includes("authentication") ||
-      error.message.includes("unauthorized")
-    ) {
-      throw new Error(
-        "Invalid Apify API token. Please check your API key configuration in Vercel environment variables."
-      );
-    }
+    console.error("Profile API error:", error);
+    sendError(res, error, `Failed to fetch profile @${req.params.username}`);
+  }
+});
 
-    if (error.message.includes("rate limit")) {
-      throw new Error(
-        "API rate limit exceeded. Please try again in a few minutes."
-      );
-    }
+// Plays, engagement, posting cadence, best and worst videos, hashtags and
+// original-sound share across a creator's scraped videos
+router.get("/profile/:username/stats", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await loadCreatorStats(req.params.username)),
+    });
+  } catch (error) {
+    console.error("Profile stats API error:", error);
+    sendError(
+      res,
+      error,
+      `Failed to compute stats for @${req.params.username}`
+    );
+  }
+});
 
-    if (error.message.includes("not found") && username) {
-      throw new Error(
-        `User @${username} not found. Please check the username and try again.`
+// Follower snapshots and per-video play history for a creator
+router.get("/profile/:username/history", async (req, res) => {
+  try {
+    const history = await getProfileHistory(
+      parseUsername(req.params.username)
+    );
+    if (!history) {
+      return sendError(
+        res,
+        new AppError(
+          "NOT_FOUND",
+          `No history recorded for @${req.params.username} yet`
+        )
       );
     }
 
-    throw new Error(`Failed to fetch data: ${error.message}`);
+    res.json({
+      success: true,
+      ...history,
+    });
+  } catch (error) {
+    console.error("Profile history API error:", error);
+    sendError(res, error, `Failed to load history for @${req.params.username}`);
   }
-}
-
-// Map video data to consistent format
-function mapVideos(items) {
-  if (!items || !Array.isArray(items)) return [];
-
-  return items
-    .filter((item) => item && item.id)
-    .map((item) => ({
-      id: item.id,
-      creator: {
-        username:
-          item.authorMeta?.name || item.authorMeta?.nickName || "unknown",
-        avatar:
-          item.authorMeta?.avatar ||
-          "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
-      },
-      description: item.text || "No description available",
-      soundtrack:
-        item.musicMeta?.musicName ||
-        (item.musicMeta?.musicOriginal
-          ? "Original Sound"
-          : "No sound information"),
-      likes: item.diggCount || 0,
-      comments: item.commentCount || 0,
-      shares: item.shareCount || 0,
-      plays: item.playCount || 0,
-      hashtags: item.hashtags?.map((h) => h.name).filter(Boolean) || [],
-      videoUrl:
-        item.webVideoUrl ||
-        `https://www.tiktok.com/@${item.authorMeta?.name}/video/${item.id}`,
-      createdAt: item.createTime || Date.now(),
-    }))
-    .filter((video) => video.id);
-}
+});
 
-function mapProfile(authorMeta) {
-  if (!authorMeta) return null;
-
-  return {
-    username: authorMeta.name || authorMeta.nickName,
-    bio: authorMeta.signature || "No bio available",
-    followers: authorMeta.followers || authorMeta.followerCount || 0,
-    following: authorMeta.following || authorMeta.followingCount || 0,
-    likes: authorMeta.heart || authorMeta.diggCount || 0,
-    avatar:
-      authorMeta.avatar ||
-      "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
-    verified: authorMeta.verified || false,
-    private: authorMeta.privateAccount || false,
-  };
-}
+// One video with its full metadata, plus more videos from the same creator
+// and with the same sound
+router.get("/video/:id", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await loadVideo(req.params.id)),
+    });
+  } catch (error) {
+    console.error("Video API error:", error);
+    sendError(res, error, `Failed to fetch video ${req.params.id}`);
+  }
+});
 
-// ======================
-// ENHANCED API ROUTES
-// ======================
+// Top-level comments on a video: ?sort=top|newest, ?q=keyword, cursor/limit
+router.get("/video/:id/comments", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...(await loadComments(req.params.id, req.query)),
+    });
+  } catch (error) {
+    console.error("Comments API error:", error);
+    sendError(
+      res,
+      error,
+      `Failed to fetch comments for video ${req.params.id}`
+    );
+  }
+});
 
-// Comprehensive health check endpoint
-router.get("/health", async (req, res) => {
+// Play, like, comment and share snapshots for one video
+router.get("/video/:id/history", async (req, res) => {
   try {
-    // Re-validate API key on health check
-    if (
-      !apiStatus.valid &&
-      APIFY_TOKEN &&
-      APIFY_TOKEN !== "your_actual_apify_api_key_here"
-    ) {
-      await initializeApifyClient();
+    const history = await getVideoHistory(req.params.id);
+    if (!history) {
+      return sendError(
+        res,
+        new AppError(
+          "NOT_FOUND",
+          `No history recorded for video ${req.params.id} yet`
+        )
+      );
     }
 
     res.json({
-      status: "OK",
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV,
-      apiKeyConfigured:
-        !!APIFY_TOKEN && APIFY_TOKEN !== "your_actual_apify_api_key_here",
-      apiKeyPreview: APIFY_TOKEN
-        ? `${APIFY_TOKEN.substring(0, 10)}...`
-        : "Not set",
-      apiStatus: apiStatus,
-      cacheSize: cache.size,
-      vercel: process.env.VERCEL ? "Yes" : "No",
-      instructions: !apiStatus.valid
-        ? [
-            "1. Visit https://console.apify.com/account/integrations",
-            "2. Copy your API token (starts with apify_api_)",
-            "3. Add it to Vercel Environment Variables as APIFY_API_KEY",
-            "4. Redeploy your application",
-          ]
-        : null,
+      success: true,
+      ...history,
     });
   } catch (error) {
-    res.status(500).json({
-      status: "Error",
-      error: error.message,
-      apiStatus: apiStatus,
-    });
+    console.error("Video history API error:", error);
+    sendError(res, error, `Failed to load history for video ${req.params.id}`);
   }
 });
 
-// Get trending videos
-router.get("/trending", async (req, res) => {
+// Search videos
+router.get("/search", async (req, res) => {
   try {
-    const input = {
-      hashtags: ["foryou", "viral", "trending"],
-      proxyCountryCode: "None",
-      resultsPerPage: 15,
-      shouldDownloadVideos: false,
-      shouldDownloadCovers: false,
-    };
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadList(
+      "search",
+      { q: req.query.q },
+      req.query,
+      listLimits(format)
+    );
 
-    const items = await runScraper(input, "trending");
-    const videos = mapVideos(items);
+    if (format) {
+      return sendExport(res, format, {
+        name: `search-${payload.query}`,
+        videos: payload.data,
+      });
+    }
 
     res.json({
       success: true,
-      data: videos,
-      count: videos.length,
+      ...payload,
     });
   } catch (error) {
-    console.error("Trending API error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: "Failed to fetch trending videos",
-      apiStatus: apiStatus,
-    });
+    console.error("Search API error:", error);
+    sendError(res, error, `Search failed for "${req.query.q}"`);
   }
 });
 
-// Get videos by hashtag
-router.get("/hashtag/:tag", async (req, res) => {
+// ======================
+// WATCHLISTS AND FEED
+// ======================
+
+// Latest videos from every watched creator and hashtag, newest first.
+// ?watchlist=<id> picks a list other than the default one.
+router.get("/feed", async (req, res) => {
   try {
-    const tag = req.params.tag;
+    const format = parseExportFormat(req.query.format);
+    const payload = await loadFeed(
+      req.query.watchlist || DEFAULT_WATCHLIST,
+      req.query,
+      listLimits(format)
+    );
 
-    if (!tag || tag.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: "Hashtag must be at least 2 characters",
+    if (format) {
+      return sendExport(res, format, {
+        name: `feed-${payload.watchlist.name}`,
+        videos: payload.data,
       });
     }
 
-    const input = {
-      hashtags: [tag],
-      proxyCountryCode: "None",
-      resultsPerPage: 15,
-      shouldDownloadVideos: false,
-    };
-
-    const items = await runScraper(input, `hashtag_${tag}`);
-    const videos = mapVideos(items);
-
     res.json({
       success: true,
-      data: videos,
-      hashtag: tag,
-      count: videos.length,
+      ...payload,
     });
   } catch (error) {
-    console.error("Hashtag API error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Failed to fetch videos for #${req.params.tag}`,
-      apiStatus: apiStatus,
-    });
+    console.error("Feed API error:", error);
+    sendError(res, error, "Failed to build your feed");
   }
 });
 
-// Get profile and videos
-router.get("/profile/:username", async (req, res) => {
+// Wrap a watchlist handler with the shared error response. Reading
+// watchlists is public; changing them needs an admin session, since every
+// watched source costs scraper runs.
+const watchlistRoute = (handler) => async (req, res) => {
   try {
-    const username = req.params.username;
+    await handler(req, res);
+  } catch (error) {
+    console.error("Watchlist API error:", error.message);
+    sendError(res, error, "Watchlist request failed");
+  }
+};
 
-    if (!username || username.length < 2) {
-      return res.status(400).json({
-        success: false,
-        error: "Username must be at least 2 characters",
-      });
+router.get(
+  "/watchlists",
+  watchlistRoute(async (req, res) => {
+    res.json({ success: true, watchlists: await listWatchlists() });
+  })
+);
+
+// Create a watchlist: { name, usernames?: [...], hashtags?: [...] }
+router.post(
+  "/watchlists",
+  requireAdmin,
+  watchlistRoute(async (req, res) => {
+    const watchlist = await createWatchlist(req.body);
+    res.status(201).json({ success: true, watchlist });
+  })
+);
+
+router.get(
+  "/watchlists/:id",
+  watchlistRoute(async (req, res) => {
+    res.json({ success: true, watchlist: await getWatchlist(req.params.id) });
+  })
+);
+
+// Rename or replace sources: { name?, usernames?, hashtags? }
+router.patch(
+  "/watchlists/:id",
+  requireAdmin,
+  watchlistRoute(async (req, res) => {
+    const watchlist = await updateWatchlist(req.params.id, req.body);
+    res.json({ success: true, watchlist });
+  })
+);
+
+router.delete(
+  "/watchlists/:id",
+  requireAdmin,
+  watchlistRoute(async (req, res) => {
+    if (!(await deleteWatchlist(req.params.id))) {
+      return sendError(
+        res,
+        new AppError("NOT_FOUND", `Watchlist "${req.params.id}" not found`)
+      );
     }
+    res.json({ success: true });
+  })
+);
+
+// Watch a source: { type: "profile" | "hashtag", value: "chefjohn" }
+router.post(
+  "/watchlists/:id/sources",
+  requireAdmin,
+  watchlistRoute(async (req, res) => {
+    const { type, value } = req.body || {};
+    const watchlist = await addSource(req.params.id, type, value);
+    res.json({ success: true, watchlist });
+  })
+);
+
+router.delete(
+  "/watchlists/:id/sources/:type/:value",
+  requireAdmin,
+  watchlistRoute(async (req, res) => {
+    const { id, type, value } = req.params;
+    const watchlist = await removeSource(id, type, value);
+    res.json({ success: true, watchlist });
+  })
+);
 
-    const input = {
-      profiles: [username],
-      proxyCountryCode: "None",
-      resultsPerPage: 20,
-      shouldDownloadVideos: false,
-    };
+// ======================
+// ALERTS
+// ======================
 
-    const items = await runScraper(input, `profile_${username}`, username);
+// Wrap an alert handler with the shared error response. Alerts make this
+// server POST to arbitrary URLs, so every alert route needs an admin session.
+const alertRoute = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    console.error("Alert API error:", error.message);
+    sendError(res, error, "Alert request failed");
+  }
+};
 
-    if (!items || items.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: `Profile @${username} not found or has no public videos`,
-      });
-    }
+router.get(
+  "/alerts",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    res.json({ success: true, alerts: await listAlerts() });
+  })
+);
+
+// Create a rule:
+// { type: "new-post", source: { type: "profile", value: "chefjohn" },
+//   webhookUrl }
+// { type: "threshold", source: { type: "hashtag", value: "ourbrand" },
+//   plays: 100000, withinHours: 24, webhookUrl }
+router.post(
+  "/alerts",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    const alert = await createAlert(req.body);
+    res.status(201).json({ success: true, alert });
+  })
+);
+
+// A rule with its recent deliveries
+router.get(
+  "/alerts/:id",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    res.json({ success: true, alert: await getAlert(req.params.id) });
+  })
+);
+
+// { name?, type?, source?, plays?, withinHours?, webhookUrl?, enabled? }
+router.patch(
+  "/alerts/:id",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    const alert = await updateAlert(req.params.id, req.body);
+    res.json({ success: true, alert });
+  })
+);
+
+router.delete(
+  "/alerts/:id",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    const alert = await deleteAlert(req.params.id);
+    res.json({ success: true, alert });
+  })
+);
+
+// Send a sample payload to the rule's webhook once
+router.post(
+  "/alerts/:id/test",
+  requireAdmin,
+  alertRoute(async (req, res) => {
+    const { ok } = await testAlert(req.params.id);
+    res.status(ok ? 200 : 502).json({ success: ok, ok });
+  })
+);
 
-    const profile = mapProfile(items[0].authorMeta);
-    const videos = mapVideos(items);
+// ======================
+// SCRAPE JOBS
+// ======================
 
-    res.json({
+// Start a scrape job: { type: "hashtag", params: { tag: "dance" } }, with
+// optional sort/filter `options` like { sort: "likes", minPlays: 1000 }
+router.post("/jobs", async (req, res) => {
+  try {
+    const { type, params, options } = req.body || {};
+    const job = await createJob(type, params, options);
+
+    res.status(isFinished(job) ? 200 : 202).json({
       success: true,
-      profile: profile,
-      videos: videos,
-      videoCount: videos.length,
+      job,
     });
   } catch (error) {
-    console.error("Profile API error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Failed to fetch profile @${req.params.username}`,
-      apiStatus: apiStatus,
+    console.error("Job API error:", error);
+    sendError(res, error, "Failed to start scrape job");
+  }
+});
+
+// ?offset= is the number of items the client has already seen (the last
+// itemCount); the job's `items` are the videos scraped after it
+function jobOffset(value) {
+  const offset = parseInt(value ?? "0", 10);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new AppError("VALIDATION", "offset must be a positive integer");
+  }
+  return offset;
+}
+
+const jobNotFound = () => new AppError("NOT_FOUND", "Job not found or expired");
+
+// Get job status (and result once it has finished)
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await getJob(req.params.id, {
+      offset: jobOffset(req.query.offset),
     });
+    if (!job) return sendError(res, jobNotFound());
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    console.error("Job API error:", error);
+    sendError(res, error, "Failed to read scrape job");
   }
 });
 
-// Search videos
-router.get("/search", async (req, res) => {
+// Stream job progress as server-sent events: "status", "items" (videos
+// scraped so far), then "done" or "failed". The stream polls the provider
+// only while the client is connected; a client that reconnects or falls
+// back to GET /jobs/:id picks up from its offset.
+router.get("/jobs/:id/events", async (req, res) => {
+  let offset;
+  let job;
   try {
-    const query = (req.query.q || "").trim();
+    offset = jobOffset(req.query.offset);
+    job = await getJob(req.params.id, { offset });
+    if (!job) return sendError(res, jobNotFound());
+  } catch (error) {
+    console.error("Job API error:", error);
+    return sendError(res, error, "Failed to read scrape job");
+  }
 
-    if (!query) {
-      return res.status(400).json({
-        success: false,
-        error: "Search query is required",
-      });
-    }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on("close", () => {
+    closed = true;
+  });
 
-    let input;
-    let cacheKey;
-    let username = null;
-
-    if (query.startsWith("#")) {
-      const tag = query.slice(1);
-      input = {
-        hashtags: [tag],
-        resultsPerPage: 15,
-        shouldDownloadVideos: false,
-      };
-      cacheKey = `search_hashtag_${tag}`;
-    } else if (query.startsWith("@")) {
-      username = query.slice(1);
-      input = {
-        profiles: [username],
-        resultsPerPage: 15,
-        shouldDownloadVideos: false,
-      };
-      cacheKey = `search_profile_${username}`;
-    } else {
-      input = {
-        hashtags: [query],
-        resultsPerPage: 15,
-        shouldDownloadVideos: false,
-      };
-      cacheKey = `search_keyword_${query}`;
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  for (;;) {
+    const { items, ...status } = job;
+    send("status", status);
+    if (items.length > 0) send("items", items);
+
+    if (isFinished(job)) {
+      send(job.status === "succeeded" ? "done" : "failed", status);
+      return res.end();
     }
 
-    input.proxyCountryCode = "None";
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+    if (closed) return;
 
-    const items = await runScraper(input, cacheKey, username);
-    const videos = mapVideos(items);
+    offset = job.itemCount;
+    job = await getJob(req.params.id, { offset });
+    if (!job || closed) return res.end();
+  }
+});
+
+// Actor run costs and cache hit rates (admin only): daily totals for the
+// last ?days= days (default 30) and the ?limit= most expensive queries
+router.get("/usage", requireAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days ?? "30", 10);
+    const limit = parseInt(req.query.limit ?? "50", 10);
+    if (!(days >= 1 && days <= 366) || !(limit >= 1 && limit <= 500)) {
+      return sendError(
+        res,
+        new AppError(
+          "VALIDATION",
+          "days must be between 1 and 366, limit between 1 and 500"
+        )
+      );
+    }
 
     res.json({
       success: true,
-      data: videos,
-      query: query,
-      count: videos.length,
+      ...(await getUsage({ days, limit })),
     });
   } catch (error) {
-    console.error("Search API error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Search failed for "${req.query.q}"`,
-      apiStatus: apiStatus,
-    });
+    console.error("Usage API error:", error);
+    sendError(res, error, "Failed to load usage");
   }
 });
 
-// Clear cache endpoint
-router.delete("/cache", (req, res) => {
-  const previousSize = cache.size;
-  cache.clear();
+// Clear cache endpoint (admin only)
+router.delete("/cache", requireAdmin, async (req, res) => {
+  const previousSize = await cache.clear();
   res.json({
     success: true,
     message: `Cache cleared (${previousSize} items removed)`,
   });
 });
 
-// Test API endpoint (for debugging)
-router.get("/test", async (req, res) => {
+// Test API endpoint (admin only, for debugging)
+router.get("/test", requireAdmin, async (req, res) => {
   try {
     if (!apiStatus.valid) {
-      return res.status(500).json({
-        success: false,
-        error: "API not configured properly",
+      const error = new AppError("UPSTREAM_AUTH", "API not configured properly");
+      return res.status(error.status).json({
+        ...errorBody(error),
         apiStatus: apiStatus,
       });
     }
@@ -472,7 +696,7 @@ router.get("/test", async (req, res) => {
       shouldDownloadVideos: false,
     };
 
-    const items = await runScraper(input, "test");
+    const items = await runScraper(input, { cacheKey: "test", route: "test" });
     const videos = mapVideos(items);
 
     res.json({
@@ -482,9 +706,8 @@ router.get("/test", async (req, res) => {
       apiStatus: apiStatus,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
+    res.status(errorStatus(error)).json({
+      ...errorBody(error),
       apiStatus: apiStatus,
     });
   }
@@ -0,0 +1,93 @@
+// routes/feeds.js - RSS, Atom and JSON Feed subscriptions for profiles and hashtags
+import express from "express";
+import { createHash } from "crypto";
+import { cache } from "../services/scraper.js";
+import { buildQuery, loadList } from "../services/queries.js";
+import { buildFeed, CONTENT_TYPES } from "../services/feeds.js";
+import { sendError } from "../services/errors.js";
+
+const router = express.Router();
+
+// Absolute URLs in feeds use SITE_URL when set (behind proxies), otherwise
+// the host the reader asked for
+const siteUrl = (req) =>
+  (process.env.SITE_URL || `${req.protocol}://${req.get("host")}`).replace(
+    /\/$/,
+    ""
+  );
+
+// Fetch the list through the same cache as the API, then answer with
+// Last-Modified (when the dataset was fetched) and ETag so readers that
+// poll with If-None-Match / If-Modified-Since get a 304
+async function sendFeed(
+  req,
+  res,
+  { type, params, format, title, description, pagePath }
+) {
+  const payload = await loadList(type, params);
+  const videos = type === "profile" ? payload.videos : payload.data;
+
+  const entry = await cache.peek(buildQuery(type, params).cacheKey);
+  // HTTP dates have one-second precision
+  const fetchedAt = entry ? entry.timestamp : Date.now();
+  const updated = new Date(Math.floor(fetchedAt / 1000) * 1000);
+
+  const base = siteUrl(req);
+  const body = buildFeed(format, {
+    title,
+    description,
+    pageUrl: `${base}${pagePath}`,
+    feedUrl: `${base}${req.baseUrl}${req.path}`,
+    videos,
+    updated,
+  });
+
+  const etag = createHash("sha1").update(body).digest("base64url");
+  res.set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Last-Modified": updated.toUTCString(),
+    ETag: `"${etag}"`,
+  });
+  // res.send answers 304 when the request's validators still match
+  res.send(body);
+}
+
+function sendFeedError(res, error, message) {
+  console.error("Feed error:", error.message);
+  sendError(res, error, message);
+}
+
+// The format group keeps usernames with dots ("jane.doe.rss") intact
+router.get("/profile/:username.:format(rss|atom|json)", async (req, res) => {
+  const { username, format } = req.params;
+  try {
+    await sendFeed(req, res, {
+      type: "profile",
+      params: { username },
+      format,
+      title: `@${username} on TikTok`,
+      description: `Latest TikTok videos by @${username}, via TokView Pro`,
+      pagePath: `/profile/${encodeURIComponent(username)}`,
+    });
+  } catch (error) {
+    sendFeedError(res, error, `Failed to build feed for @${username}`);
+  }
+});
+
+router.get("/hashtag/:tag.:format(rss|atom|json)", async (req, res) => {
+  const { tag, format } = req.params;
+  try {
+    await sendFeed(req, res, {
+      type: "hashtag",
+      params: { tag },
+      format,
+      title: `#${tag} on TikTok`,
+      description: `Latest TikTok videos tagged #${tag}, via TokView Pro`,
+      pagePath: `/hashtag/${encodeURIComponent(tag)}`,
+    });
+  } catch (error) {
+    sendFeedError(res, error, `Failed to build feed for #${tag}`);
+  }
+});
+
+export default router;
@@ -0,0 +1,472 @@
+// services/alerts.js - Alert rules evaluated against fresh scraper data,
+// delivered to webhooks
+import crypto, { randomUUID } from "crypto";
+import dns from "dns/promises";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+import { createJsonStore } from "./store.js";
+import { mapVideos } from "./mappers.js";
+import { itemTimestamp } from "./filters.js";
+import { normalizeSource } from "./watchlists.js";
+import { recordError } from "./diagnostics.js";
+import { AppError } from "./errors.js";
+
+// Delivery attempts per webhook call, and the wait before the first retry
+// (doubled on each further retry)
+const MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE = parseInt(process.env.ALERT_RETRY_BASE_MS, 10) || 5000;
+const TIMEOUT = parseInt(process.env.ALERT_TIMEOUT_MS, 10) || 10000;
+// When set, payloads are signed: X-TokView-Signature: sha256=<hmac>
+const WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET || "";
+
+// Triggered video ids remembered per rule, and deliveries kept in the log
+const MAX_TRIGGERED = 1000;
+const MAX_DELIVERIES = 200;
+
+const HOUR = 60 * 60 * 1000;
+
+//   new-post   a video from the source published after the rule was created
+//   threshold  a video from the source reaching `plays` within `withinHours`
+//              of being posted
+export const ALERT_TYPES = ["new-post", "threshold"];
+
+const store = createJsonStore("alerts", { rules: [], deliveries: [] });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Addresses a webhook may not point at: loopback, private, link-local
+// (which holds cloud metadata endpoints like 169.254.169.254) and the
+// other ranges that reach this host or its network instead of the internet
+const BLOCKED = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv4"));
+// IPv6 ranges that embed an IPv4 address (IPv4-compatible and -translated,
+// NAT64, 6to4, Teredo) are blocked whole, so none of them can be used to
+// reach an internal IPv4 address. IPv4-mapped addresses (::ffff:0:0/96) are
+// left out: BlockList checks those, and plain IPv4 addresses, against the
+// IPv4 ranges above.
+[
+  ["::", 96],
+  ["::ffff:0:0:0", 96],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["2001::", 32],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, "ipv6"));
+
+const isBlocked = (address) =>
+  BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Resolve the webhook's host and reject it when any of its addresses is
+// internal. Runs on save and again before every delivery, since DNS can
+// change in between. Resolves with the checked addresses.
+async function checkHost(webhookUrl) {
+  const { hostname } = new URL(webhookUrl);
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new AppError(
+      "VALIDATION",
+      `webhookUrl host "${host}" doesn't resolve`
+    );
+  }
+
+  if (addresses.some(({ address }) => isBlocked(address))) {
+    throw new AppError(
+      "VALIDATION",
+      "webhookUrl must not point to a local or private network address"
+    );
+  }
+  return addresses;
+}
+
+// Agents that connect to the checked addresses only. Left to itself, the
+// request would resolve the host again, and a second answer could point
+// somewhere internal.
+function pinnedAgents(addresses) {
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, addresses);
+    const [{ address, family }] = addresses;
+    return callback(null, address, family);
+  };
+  return {
+    httpAgent: new http.Agent({ lookup }),
+    httpsAgent: new https.Agent({ lookup }),
+  };
+}
+
+function validateUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch {
+    throw new AppError("VALIDATION", "webhookUrl must be a valid URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new AppError("VALIDATION", "webhookUrl must use http or https");
+  }
+  return url.toString();
+}
+
+const positive = (value, name) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new AppError("VALIDATION", `${name} must be a positive number`);
+  }
+  return number;
+};
+
+// Validate and normalize the user-editable fields of a rule
+function normalizeRule({
+  name,
+  type,
+  source,
+  plays,
+  withinHours,
+  webhookUrl,
+  enabled = true,
+}) {
+  if (!ALERT_TYPES.includes(type)) {
+    throw new AppError(
+      "VALIDATION",
+      `type must be one of: ${ALERT_TYPES.join(", ")}`
+    );
+  }
+  if (!source || typeof source !== "object") {
+    throw new AppError(
+      "VALIDATION",
+      'source must be { type: "profile" | "hashtag", value }'
+    );
+  }
+
+  const value = normalizeSource(source.type, source.value, "source.value");
+  const rule = {
+    name: String(name || "").trim() || `${type} ${source.type} ${value}`,
+    type,
+    source: { type: source.type, value },
+    webhookUrl: validateUrl(webhookUrl),
+    enabled: Boolean(enabled),
+  };
+
+  if (type === "threshold") {
+    rule.plays = Math.round(positive(plays, "plays"));
+    rule.withinHours = positive(withinHours ?? 24, "withinHours");
+  }
+  return rule;
+}
+
+// The stored rule without its (large) map of triggered videos
+function publicRule({ triggered, ...rule }) {
+  return { ...rule, triggeredCount: Object.keys(triggered).length };
+}
+
+const find = (data, id) => {
+  const rule = data.rules.find((r) => r.id === id);
+  if (!rule) throw new AppError("NOT_FOUND", `Alert "${id}" not found`);
+  return rule;
+};
+
+// ======================
+// RULES
+// ======================
+
+export async function listAlerts() {
+  const { rules } = await store.read();
+  return rules.map(publicRule);
+}
+
+// A rule with its most recent deliveries
+export async function getAlert(id) {
+  const data = await store.read();
+  return {
+    ...publicRule(find(data, id)),
+    deliveries: data.deliveries.filter((d) => d.alertId === id).slice(0, 20),
+  };
+}
+
+// { type: "new-post", source: { type: "profile", value: "chefjohn" },
+//   webhookUrl: "https://..." }
+// { type: "threshold", source: { type: "hashtag", value: "ourbrand" },
+//   plays: 100000, withinHours: 24, webhookUrl: "https://..." }
+export async function createAlert(body = {}) {
+  const now = new Date().toISOString();
+  const rule = {
+    id: randomUUID(),
+    ...normalizeRule(body),
+    createdAt: now,
+    updatedAt: now,
+    lastDelivery: null,
+    triggered: {},
+  };
+
+  await checkHost(rule.webhookUrl);
+
+  await store.update((data) => {
+    data.rules.push(rule);
+  });
+  return publicRule(rule);
+}
+
+// Any of the create fields; the merged rule is validated again
+export async function updateAlert(id, changes = {}) {
+  return store.update(async (data) => {
+    const rule = find(data, id);
+    const { source, ...rest } = changes;
+    const normalized = normalizeRule({
+      ...rule,
+      ...rest,
+      source: source ? { ...rule.source, ...source } : rule.source,
+    });
+    await checkHost(normalized.webhookUrl);
+    Object.assign(rule, normalized);
+    if (rule.type !== "threshold") {
+      delete rule.plays;
+      delete rule.withinHours;
+    }
+    rule.updatedAt = new Date().toISOString();
+    return publicRule(rule);
+  });
+}
+
+export async function deleteAlert(id) {
+  return store.update((data) => {
+    const rule = find(data, id);
+    data.rules = data.rules.filter((r) => r !== rule);
+    return publicRule(rule);
+  });
+}
+
+// ======================
+// EVALUATION
+// ======================
+
+function matchesSource({ type, value }, item) {
+  if (type === "profile") {
+    return (item.authorMeta?.name || "").toLowerCase() === value;
+  }
+  return (item.hashtags || []).some(
+    (tag) => (tag?.name || "").toLowerCase() === value
+  );
+}
+
+// Whether a scraped item triggers a rule at time `now` (ms)
+export function matchesRule(rule, item, now) {
+  if (!matchesSource(rule.source, item)) return false;
+
+  const postedAt = itemTimestamp(item);
+  if (rule.type === "new-post") {
+    return postedAt > Date.parse(rule.createdAt);
+  }
+  return (
+    (item.playCount || 0) >= rule.plays &&
+    now - postedAt <= rule.withinHours * HOUR
+  );
+}
+
+// Check fresh items against every enabled rule. Videos are marked as
+// triggered before delivery so a rule fires at most once per video, even
+// when the same data arrives twice.
+export async function evaluateAlerts(items) {
+  const now = Date.now();
+  const unique = [
+    ...new Map(items.filter((i) => i?.id).map((i) => [i.id, i])).values(),
+  ];
+
+  const fired = await store.update((data) => {
+    const matches = [];
+
+    data.rules.forEach((rule) => {
+      if (!rule.enabled) return;
+
+      const videos = unique.filter(
+        (item) => !rule.triggered[item.id] && matchesRule(rule, item, now)
+      );
+      if (!videos.length) return;
+
+      const at = new Date(now).toISOString();
+      videos.forEach((item) => (rule.triggered[item.id] = at));
+
+      const ids = Object.keys(rule.triggered);
+      if (ids.length > MAX_TRIGGERED) {
+        ids
+          .sort((a, b) => rule.triggered[a].localeCompare(rule.triggered[b]))
+          .slice(0, ids.length - MAX_TRIGGERED)
+          .forEach((id) => delete rule.triggered[id]);
+      }
+
+      matches.push({ rule: publicRule(rule), items: videos });
+    });
+
+    return matches;
+  });
+
+  fired.forEach(({ rule, items: videos }) => {
+    console.log(
+      `🔔 Alert "${rule.name}" triggered by ${videos.length} videos`
+    );
+    deliver(rule, videos).catch((error) =>
+      console.error(`❌ Alert "${rule.name}" delivery failed:`, error.message)
+    );
+  });
+  return fired.length;
+}
+
+// ======================
+// DELIVERY
+// ======================
+
+function buildPayload(rule, items, test = false) {
+  const { id, name, type, source, plays, withinHours } = rule;
+  return {
+    event: test ? "alert.test" : "alert.triggered",
+    alert: { id, name, type, source, plays, withinHours },
+    triggeredAt: new Date().toISOString(),
+    videos: mapVideos(items),
+  };
+}
+
+// One POST; resolves to { ok, statusCode?, error? }
+async function send(url, payload, deliveryId) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "TokView-Alerts/1.0",
+    "X-TokView-Delivery": deliveryId,
+  };
+  if (WEBHOOK_SECRET) {
+    const signature = crypto
+      .createHmac("sha256", WEBHOOK_SECRET)
+      .update(body)
+      .digest("hex");
+    headers["X-TokView-Signature"] = `sha256=${signature}`;
+  }
+
+  try {
+    const addresses = await checkHost(url);
+    // Redirects aren't followed: the target would skip the host check
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: TIMEOUT,
+      maxRedirects: 0,
+      ...pinnedAgents(addresses),
+    });
+    return { ok: true, statusCode: response.status };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: error.response?.status || null,
+      error: error.message,
+    };
+  }
+}
+
+async function saveDelivery(delivery) {
+  await store.update((data) => {
+    const index = data.deliveries.findIndex((d) => d.id === delivery.id);
+    if (index === -1) data.deliveries.unshift({ ...delivery });
+    else data.deliveries[index] = { ...delivery };
+    data.deliveries.length = Math.min(data.deliveries.length, MAX_DELIVERIES);
+
+    const rule = data.rules.find((r) => r.id === delivery.alertId);
+    if (rule) {
+      const { id, status, attempts, statusCode, updatedAt } = delivery;
+      rule.lastDelivery = { id, status, attempts, statusCode, at: updatedAt };
+    }
+  });
+}
+
+// POST the payload, retrying failures with exponential backoff. Retries
+// live in this process only; a restart drops pending ones.
+async function deliver(rule, items) {
+  const payload = buildPayload(rule, items);
+  const delivery = {
+    id: randomUUID(),
+    alertId: rule.id,
+    videoIds: items.map((item) => item.id),
+    status: "pending",
+    attempts: 0,
+    statusCode: null,
+    error: null,
+    createdAt: payload.triggeredAt,
+    updatedAt: payload.triggeredAt,
+  };
+  await saveDelivery(delivery);
+
+  while (delivery.attempts < MAX_ATTEMPTS) {
+    if (delivery.attempts > 0) {
+      await sleep(RETRY_BASE * 2 ** (delivery.attempts - 1));
+    }
+
+    const result = await send(rule.webhookUrl, payload, delivery.id);
+    delivery.attempts++;
+    delivery.statusCode = result.statusCode;
+    delivery.error = result.error || null;
+    delivery.updatedAt = new Date().toISOString();
+
+    if (result.ok) {
+      delivery.status = "delivered";
+    } else if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+    }
+    await saveDelivery(delivery);
+
+    if (result.ok) {
+      console.log(`✅ Alert "${rule.name}" delivered (${delivery.id})`);
+      return delivery;
+    }
+    console.error(
+      `❌ Alert "${rule.name}" attempt ${delivery.attempts}/${MAX_ATTEMPTS} failed:`,
+      result.error
+    );
+  }
+
+  recordError(
+    "alerts",
+    `Webhook for "${rule.name}" failed: ${delivery.error}`,
+    { path: rule.webhookUrl }
+  );
+  return delivery;
+}
+
+// Send a sample payload once, without retries, so a webhook can be checked.
+// Only says whether it worked: status codes and error messages would let a
+// caller probe whatever the URL points at.
+export async function testAlert(id) {
+  const data = await store.read();
+  const rule = publicRule(find(data, id));
+  const { ok } = await send(
+    rule.webhookUrl,
+    buildPayload(rule, [], true),
+    randomUUID()
+  );
+  return { ok };
+}
+
+// Evaluate every dataset the scraper fetches
+export function trackAlerts(events) {
+  events.on("fetched", ({ items }) => {
+    evaluateAlerts(items).catch((error) =>
+      console.error("❌ Failed to evaluate alerts:", error.message)
+    );
+  });
+}
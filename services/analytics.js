@@ -0,0 +1,265 @@
+// services/analytics.js - Aggregate metrics computed from a scraped dataset
+import { runScraper } from "./scraper.js";
+import { buildQuery } from "./queries.js";
+import { mapSound, mapVideos } from "./mappers.js";
+import { engagementRate, itemTimestamp } from "./filters.js";
+
+const MAX_CREATORS = 10;
+const MAX_HASHTAGS = 15;
+const MAX_SOUNDS = 10;
+// Videos listed as a creator's best and worst performers
+const MAX_PERFORMERS = 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Engagement-rate buckets, as fractions of plays. The last one is open.
+const ENGAGEMENT_BUCKETS = [0, 0.01, 0.03, 0.05, 0.1, 0.2];
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const percent = (fraction) => `${+(fraction * 100).toFixed(1)}%`;
+
+const round = (value, digits = 4) => +value.toFixed(digits);
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const average = (values) =>
+  values.length
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : 0;
+
+// The dataset a list route fetches first, so stats share its cache entry
+async function fetchDataset(type, params) {
+  const { input, cacheKey, route, username, params: canonical } = buildQuery(
+    type,
+    params
+  );
+  const items = await runScraper(input, { cacheKey, route, username });
+  return { items: items.filter((item) => item && item.id), params: canonical };
+}
+
+// Creators ranked by the plays their videos got
+function topCreators(items) {
+  const creators = new Map();
+  items.forEach((item) => {
+    const name = item.authorMeta?.name;
+    if (!name) return;
+    if (!creators.has(name)) {
+      creators.set(name, {
+        username: name,
+        avatar:
+          item.authorMeta.avatar ||
+          "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
+        videos: 0,
+        plays: 0,
+      });
+    }
+    const creator = creators.get(name);
+    creator.videos++;
+    creator.plays += item.playCount || 0;
+  });
+
+  return [...creators.values()]
+    .sort((a, b) => b.plays - a.plays)
+    .slice(0, MAX_CREATORS);
+}
+
+// Hashtags ranked by how many videos use them, leaving out `exclude`
+function hashtagCounts(items, exclude = null) {
+  const counts = new Map();
+  items.forEach((item) => {
+    new Set(
+      (item.hashtags || [])
+        .map((h) => (h.name || "").toLowerCase())
+        .filter((name) => name && name !== exclude)
+    ).forEach((name) => counts.set(name, (counts.get(name) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, videos]) => ({ tag, videos }))
+    .sort((a, b) => b.videos - a.videos || a.tag.localeCompare(b.tag))
+    .slice(0, MAX_HASHTAGS);
+}
+
+// Videos per engagement-rate bucket, plus the average and median rate
+function engagementDistribution(items) {
+  const rates = items.map(engagementRate);
+  const buckets = ENGAGEMENT_BUCKETS.map((min, index) => {
+    const max = ENGAGEMENT_BUCKETS[index + 1] ?? null;
+    return {
+      label:
+        max === null ? `${percent(min)}+` : `${percent(min)}–${percent(max)}`,
+      min,
+      max,
+      videos: rates.filter(
+        (rate) => rate >= min && (max === null || rate < max)
+      ).length,
+    };
+  });
+
+  return {
+    average: round(average(rates)),
+    median: round(median(rates)),
+    buckets,
+  };
+}
+
+// Videos posted per weekday and hour, in UTC like the rest of the pages
+function postingHeatmap(items) {
+  const counts = DAYS.map(() => new Array(24).fill(0));
+  items.forEach((item) => {
+    const time = itemTimestamp(item);
+    if (!time) return;
+    const date = new Date(time);
+    counts[date.getUTCDay()][date.getUTCHours()]++;
+  });
+
+  return {
+    timezone: "UTC",
+    days: DAYS,
+    counts,
+    max: Math.max(0, ...counts.flat()),
+  };
+}
+
+// Sounds ranked by how many videos use them, then by plays
+function topSounds(items) {
+  const sounds = new Map();
+  items.forEach((item) => {
+    const sound = mapSound(item.musicMeta);
+    if (!sound) return;
+    if (!sounds.has(sound.id)) {
+      sounds.set(sound.id, { ...sound, videos: 0, plays: 0 });
+    }
+    const entry = sounds.get(sound.id);
+    entry.videos++;
+    entry.plays += item.playCount || 0;
+  });
+
+  return [...sounds.values()]
+    .sort((a, b) => b.videos - a.videos || b.plays - a.plays)
+    .slice(0, MAX_SOUNDS);
+}
+
+// Stats for the videos scraped for a hashtag
+export function summarizeHashtag(items, tag) {
+  return {
+    videoCount: items.length,
+    topCreators: topCreators(items),
+    relatedHashtags: hashtagCounts(items, tag),
+    engagement: engagementDistribution(items),
+    postingTimes: postingHeatmap(items),
+    topSounds: topSounds(items),
+  };
+}
+
+// { hashtag, videoCount, topCreators, relatedHashtags, engagement,
+//   postingTimes, topSounds }
+export async function loadHashtagStats(tag) {
+  const { items, params } = await fetchDataset("hashtag", { tag });
+  return { hashtag: params.tag, ...summarizeHashtag(items, params.tag) };
+}
+
+// Posts per week and the average gap between posts, over the span the
+// dataset covers
+function postingCadence(items) {
+  const times = items
+    .map(itemTimestamp)
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  if (times.length === 0) {
+    return { postsPerWeek: 0, averageGapDays: null, first: null, last: null };
+  }
+
+  const span = times[times.length - 1] - times[0];
+  return {
+    // A single post, or several on one day, count as one week's output
+    postsPerWeek: round(times.length / Math.max(span / (7 * DAY), 1), 2),
+    averageGapDays:
+      times.length > 1 ? round(span / (times.length - 1) / DAY, 1) : null,
+    first: new Date(times[0]).toISOString(),
+    last: new Date(times[times.length - 1]).toISOString(),
+  };
+}
+
+// Videos with the most and fewest plays, each with its engagement rate
+function performers(items) {
+  const ranked = [...items].sort(
+    (a, b) => (b.playCount || 0) - (a.playCount || 0)
+  );
+  const withRate = (list) =>
+    mapVideos(list).map((video, index) => ({
+      ...video,
+      engagementRate: round(engagementRate(list[index])),
+    }));
+
+  return {
+    best: withRate(ranked.slice(0, MAX_PERFORMERS)),
+    // Only videos that aren't already among the best
+    worst: withRate(
+      ranked.slice(MAX_PERFORMERS).slice(-MAX_PERFORMERS).reverse()
+    ),
+  };
+}
+
+// Stats for the videos scraped from a creator's profile
+export function summarizeCreator(items) {
+  const plays = items.map((item) => item.playCount || 0);
+  const totals = items.reduce(
+    (sum, item) => ({
+      plays: sum.plays + (item.playCount || 0),
+      interactions:
+        sum.interactions +
+        (item.diggCount || 0) +
+        (item.commentCount || 0) +
+        (item.shareCount || 0),
+    }),
+    { plays: 0, interactions: 0 }
+  );
+  const tagged = items.filter((item) => (item.hashtags || []).length > 0);
+  const original = items.filter((item) => item.musicMeta?.musicOriginal);
+  const { average: averageRate, median: medianRate } =
+    engagementDistribution(items);
+
+  return {
+    videoCount: items.length,
+    plays: {
+      total: totals.plays,
+      average: Math.round(average(plays)),
+      median: Math.round(median(plays)),
+    },
+    engagement: {
+      // All interactions over all plays, so big videos weigh more
+      rate: round(totals.plays ? totals.interactions / totals.plays : 0),
+      average: averageRate,
+      median: medianRate,
+    },
+    cadence: postingCadence(items),
+    ...performers(items),
+    hashtags: {
+      taggedShare: round(items.length ? tagged.length / items.length : 0),
+      averagePerVideo: round(
+        average(items.map((item) => (item.hashtags || []).length)),
+        1
+      ),
+      top: hashtagCounts(items),
+    },
+    originalSoundShare: round(
+      items.length ? original.length / items.length : 0
+    ),
+  };
+}
+
+// { username, videoCount, plays, engagement, cadence, best, worst,
+//   hashtags, originalSoundShare }
+export async function loadCreatorStats(username) {
+  const { items, params } = await fetchDataset("profile", { username });
+  return { username: params.username, ...summarizeCreator(items) };
+}
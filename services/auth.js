@@ -0,0 +1,119 @@
+// services/auth.js - Admin access with a token or a session cookie
+//
+// ADMIN_SECRET unlocks the maintenance routes. API clients send it as
+// "Authorization: Bearer <secret>" (or X-Admin-Token); the /admin dashboard
+// logs in once and gets a signed, HttpOnly session cookie. Without
+// ADMIN_SECRET every admin route is refused.
+import crypto from "crypto";
+import { AppError, sendError } from "./errors.js";
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET || "";
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS, 10) || 12;
+
+export const SESSION_COOKIE = "tokview_admin";
+
+export const adminConfigured = () => Boolean(ADMIN_SECRET);
+
+// Compare digests so neither the length nor the content leaks through timing
+function matchesSecret(value) {
+  if (!ADMIN_SECRET || typeof value !== "string" || !value) return false;
+  const digest = (text) => crypto.createHash("sha256").update(text).digest();
+  return crypto.timingSafeEqual(digest(value), digest(ADMIN_SECRET));
+}
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", ADMIN_SECRET).update(payload).digest("base64url");
+
+function readCookie(req, name) {
+  const header = req.get("Cookie") || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+// Sessions are "<expires ms>.<signature>", so they survive restarts and
+// work across serverless instances without server-side storage
+function validSession(value) {
+  if (!ADMIN_SECRET || !value) return false;
+  const [expires, signature] = value.split(".");
+  if (!expires || !signature || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(sign(expires));
+  const given = Buffer.from(signature);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+function requestToken(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7).trim();
+  return req.get("X-Admin-Token") || null;
+}
+
+export function isAdmin(req) {
+  return (
+    matchesSecret(requestToken(req)) ||
+    validSession(readCookie(req, SESSION_COOKIE))
+  );
+}
+
+// ======================
+// SESSIONS
+// ======================
+
+// Check a login attempt and set the session cookie. Returns false for a
+// wrong secret.
+export function startSession(req, res, secret) {
+  if (!matchesSecret(secret)) return false;
+
+  const maxAge = SESSION_HOURS * 60 * 60 * 1000;
+  const expires = String(Date.now() + maxAge);
+  res.cookie(SESSION_COOKIE, `${expires}.${sign(expires)}`, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/",
+    maxAge,
+  });
+  return true;
+}
+
+export function endSession(res) {
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+}
+
+// ======================
+// MIDDLEWARE
+// ======================
+
+// For JSON routes: 401 without valid credentials
+export function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+
+  if (!adminConfigured()) {
+    return sendError(
+      res,
+      new AppError(
+        "FORBIDDEN",
+        "Admin access is disabled. Set ADMIN_SECRET to enable it."
+      )
+    );
+  }
+  sendError(
+    res,
+    requestToken(req)
+      ? new AppError("AUTH_INVALID", "Invalid admin token")
+      : new AppError("AUTH_REQUIRED", "Admin authentication required")
+  );
+}
+
+// For pages: send the browser to the login form and back
+export function requireAdminPage(req, res, next) {
+  if (isAdmin(req)) return next();
+  res.redirect(
+    `/admin/login?${new URLSearchParams({ next: req.originalUrl }).toString()}`
+  );
+}
@@ -0,0 +1,135 @@
+// services/cache/file.js - On-disk backend that survives restarts
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// One JSON file per key, named by the key's hash so any key fits in a file
+// name, with the key itself stored in the entry. The access order lives in
+// memory and is seeded from file modification times the first time the
+// directory is read.
+export function createFileBackend({ dir, maxEntries, onEvict }) {
+  const index = new Map();
+  let loaded = null;
+  let writes = 0;
+
+  const fileFor = (key) =>
+    path.join(
+      dir,
+      `${crypto.createHash("sha256").update(key).digest("hex")}.json`
+    );
+
+  // The stored entry for a key, or undefined when the file is missing,
+  // corrupt or belongs to another key
+  async function read(file, key) {
+    try {
+      const { key: storedKey, ...entry } = JSON.parse(
+        await fs.readFile(file, "utf8")
+      );
+      if (typeof storedKey !== "string") return undefined;
+      if (key !== undefined && storedKey !== key) return undefined;
+      return { key: storedKey, entry };
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  function touch(key) {
+    index.delete(key);
+    index.set(key, true);
+  }
+
+  function load() {
+    if (!loaded) {
+      loaded = (async () => {
+        await fs.mkdir(dir, { recursive: true });
+        const files = (await fs.readdir(dir)).filter((f) =>
+          f.endsWith(".json")
+        );
+
+        // Files that don't hold an entry (older layouts, leftovers) are
+        // left alone and never counted
+        const found = await Promise.all(
+          files.map(async (name) => {
+            const file = path.join(dir, name);
+            const stored = await read(file);
+            if (!stored || fileFor(stored.key) !== file) return null;
+
+            const stat = await fs.stat(file);
+            return { key: stored.key, mtime: stat.mtimeMs };
+          })
+        );
+
+        found
+          .filter(Boolean)
+          .sort((a, b) => a.mtime - b.mtime)
+          .forEach(({ key }) => touch(key));
+      })();
+    }
+    return loaded;
+  }
+
+  async function remove(key) {
+    index.delete(key);
+    await fs.rm(fileFor(key), { force: true });
+  }
+
+  return {
+    name: "file",
+
+    // Keys missing from the index are still read from disk: another process
+    // sharing the directory (the scheduler worker) may have written them
+    async get(key) {
+      await load();
+
+      const stored = await read(fileFor(key), key);
+      if (!stored) {
+        // Missing or corrupt file: treat as a miss and forget it
+        if (index.has(key)) await remove(key);
+        return undefined;
+      }
+      touch(key);
+      return stored.entry;
+    },
+
+    async set(key, entry) {
+      await load();
+      // Write then rename, so another process reading the same directory
+      // never sees a half-written file. The .tmp suffix keeps it out of
+      // the index if we crash in between.
+      const file = fileFor(key);
+      const temp = `${file}.${process.pid}.${++writes}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ key, ...entry }));
+      await fs.rename(temp, file);
+      touch(key);
+
+      while (index.size > maxEntries) {
+        const oldestKey = index.keys().next().value;
+        await remove(oldestKey);
+        onEvict(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      await load();
+      const existed = index.has(key);
+      await remove(key);
+      return existed;
+    },
+
+    async clear() {
+      await load();
+      const keys = [...index.keys()];
+      await Promise.all(keys.map(remove));
+      return keys.length;
+    },
+
+    async keys() {
+      await load();
+      return [...index.keys()];
+    },
+
+    size() {
+      return index.size;
+    },
+  };
+}
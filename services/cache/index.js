@@ -0,0 +1,137 @@
+// services/cache/index.js - Scraper cache with per-route TTLs and stale-while-revalidate
+import os from "os";
+import path from "path";
+import { createMemoryBackend } from "./memory.js";
+import { createFileBackend } from "./file.js";
+
+// Seconds a dataset is considered fresh, per route. Override any of them
+// with CACHE_TTL_<ROUTE>, e.g. CACHE_TTL_HASHTAG=1800.
+export const DEFAULT_TTLS = {
+  trending: 5 * 60,
+  hashtag: 15 * 60,
+  profile: 30 * 60,
+  search: 10 * 60,
+  sound: 15 * 60,
+  video: 30 * 60,
+  comments: 10 * 60,
+  test: 60,
+};
+
+const seconds = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// CACHE_BACKEND selects "memory" (default) or "file". The file backend keeps
+// datasets in CACHE_DIR so they survive restarts and cold starts that reuse
+// the same disk.
+export function createCache(env = process.env) {
+  const maxEntries = seconds(env.CACHE_MAX_ENTRIES, 200) || 1;
+  const staleTtl = seconds(env.CACHE_STALE_TTL, 60 * 60) * 1000;
+
+  const ttls = Object.fromEntries(
+    Object.entries(DEFAULT_TTLS).map(([route, ttl]) => [
+      route,
+      seconds(env[`CACHE_TTL_${route.toUpperCase()}`], ttl) * 1000,
+    ])
+  );
+  const defaultTtl = seconds(env.CACHE_TTL, 5 * 60) * 1000;
+
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    evictions: 0,
+    expired: 0,
+  };
+
+  const onEvict = (key) => {
+    stats.evictions++;
+    console.log(`🧹 Evicted from cache: ${key}`);
+  };
+
+  const backendName = (env.CACHE_BACKEND || "memory").toLowerCase();
+  let backend;
+  if (backendName === "file") {
+    backend = createFileBackend({
+      dir: env.CACHE_DIR || path.join(os.tmpdir(), "tokview-cache"),
+      maxEntries,
+      onEvict,
+    });
+  } else if (backendName === "memory") {
+    backend = createMemoryBackend({ maxEntries, onEvict });
+  } else {
+    throw new Error(
+      `Unknown CACHE_BACKEND "${backendName}". Use "memory" or "file".`
+    );
+  }
+
+  const ttlFor = (route) => ttls[route] ?? defaultTtl;
+
+  return {
+    backend: backend.name,
+
+    // Look up a key and classify it as fresh, stale (servable while a
+    // refresh runs) or a miss. Entries past the stale window are dropped.
+    async lookup(key) {
+      const entry = await backend.get(key);
+      if (!entry) {
+        stats.misses++;
+        return { state: "miss" };
+      }
+
+      const age = Date.now() - entry.timestamp;
+      if (age < entry.ttl) {
+        stats.hits++;
+        return { state: "fresh", entry };
+      }
+
+      if (age < entry.ttl + staleTtl) {
+        stats.staleHits++;
+        return { state: "stale", entry };
+      }
+
+      stats.expired++;
+      stats.misses++;
+      await backend.delete(key);
+      return { state: "miss" };
+    },
+
+    // Read an entry without classifying it or touching the stats, e.g. to
+    // learn when a dataset was fetched
+    peek: (key) => backend.get(key),
+
+    async set(key, data, route) {
+      await backend.set(key, {
+        data,
+        route,
+        timestamp: Date.now(),
+        ttl: ttlFor(route),
+      });
+    },
+
+    delete: (key) => backend.delete(key),
+    clear: () => backend.clear(),
+    keys: () => backend.keys(),
+    get size() {
+      return backend.size();
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        backend: backend.name,
+        size: backend.size(),
+        maxEntries,
+        ...stats,
+        hitRate: lookups
+          ? Number(((stats.hits + stats.staleHits) / lookups).toFixed(3))
+          : 0,
+        ttls: Object.fromEntries(
+          Object.entries(ttls).map(([route, ttl]) => [route, ttl / 1000])
+        ),
+        staleTtl: staleTtl / 1000,
+      };
+    },
+  };
+}
@@ -0,0 +1,48 @@
+// services/cache/memory.js - Bounded in-memory LRU backend
+
+// Map iteration order is insertion order, so re-inserting on every read
+// keeps the least recently used entry at the front.
+export function createMemoryBackend({ maxEntries, onEvict }) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      if (!entries.has(key)) return undefined;
+      const entry = entries.get(key);
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        const oldestKey = entries.keys().next().value;
+        entries.delete(oldestKey);
+        onEvict(oldestKey);
+      }
+    },
+
+    async delete(key) {
+      return entries.delete(key);
+    },
+
+    async clear() {
+      const removed = entries.size;
+      entries.clear();
+      return removed;
+    },
+
+    async keys() {
+      return [...entries.keys()];
+    },
+
+    size() {
+      return entries.size;
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// services/comments.js - Top-level comments on a video, sorted, filtered and
+// paged like the video lists
+import { mapComments } from "./mappers.js";
+import { parsePageParams, fetchPage } from "./pagination.js";
+import { AppError } from "./errors.js";
+import { parseVideoId } from "./validation.js";
+import { postUrl, fetchVideo } from "./video.js";
+
+export const COMMENT_SORTS = ["top", "newest"];
+
+// Comments fetched by the first run, and the default page size
+const FIRST_DEPTH = 50;
+const PAGE_SIZE = 20;
+const MAX_KEYWORD = 100;
+
+const invalid = (field, message) =>
+  new AppError("VALIDATION", message, {
+    details: { fields: { [field]: message } },
+  });
+
+function parseCommentOptions(query = {}) {
+  const sort = query.sort || "top";
+  if (!COMMENT_SORTS.includes(sort)) {
+    throw invalid("sort", `sort must be one of: ${COMMENT_SORTS.join(", ")}`);
+  }
+
+  const q = String(query.q || "")
+    .normalize("NFKC")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (Array.from(q).length > MAX_KEYWORD) {
+    throw invalid("q", `q must be at most ${MAX_KEYWORD} characters`);
+  }
+
+  return { sort, q };
+}
+
+// Keyword match on the comment text or its author, then the requested order.
+// "top" keeps the author's pinned comment first, like TikTok does.
+function selectComments(items, { sort, q }) {
+  const keyword = q.toLowerCase();
+  const matches = keyword
+    ? items.filter(
+        (item) =>
+          String(item.text || "").toLowerCase().includes(keyword) ||
+          String(item.uniqueId || "").toLowerCase().includes(keyword)
+      )
+    : items.slice();
+
+  if (sort === "newest") {
+    return matches.sort((a, b) => (b.createTime || 0) - (a.createTime || 0));
+  }
+  return matches.sort(
+    (a, b) =>
+      !!b.pinnedByAuthor - !!a.pinnedByAuthor ||
+      (b.diggCount || 0) - (a.diggCount || 0)
+  );
+}
+
+// { videoId, sort, q, data, count, nextCursor }
+export async function loadComments(rawId, query = {}) {
+  const videoId = parseVideoId(rawId);
+  const options = parseCommentOptions(query);
+  const { offset, limit } = parsePageParams(query, PAGE_SIZE);
+
+  const { dataset, pageItems, nextCursor } = await fetchPage(
+    {
+      postURLs: [postUrl(videoId)],
+      commentsPerPost: FIRST_DEPTH,
+      maxRepliesPerComment: 0,
+    },
+    {
+      cacheKey: `comments_${videoId}`,
+      route: "comments",
+      kind: "comments",
+      depthKey: "commentsPerPost",
+      offset,
+      limit,
+      select: (items) =>
+        selectComments(
+          items.filter((item) => !item.repliesToId),
+          options
+        ),
+    }
+  );
+
+  // The comment scraper returns nothing for a video that doesn't exist
+  // either, so tell the two apart with the video's own lookup
+  if (dataset.length === 0) await fetchVideo(videoId);
+
+  const comments = mapComments(pageItems);
+  return {
+    videoId,
+    sort: options.sort,
+    q: options.q,
+    data: comments,
+    count: comments.length,
+    nextCursor,
+  };
+}
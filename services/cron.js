@@ -0,0 +1,144 @@
+// services/cron.js - Parse schedule expressions and find their next run
+//
+//   "*/30 * * * *"   five-field cron: minute hour day-of-month month weekday
+//   "@hourly"        also @daily, @weekly, @monthly
+//   "@every 45m"     fixed interval (s, m, h or d), counted from the last run
+//
+// Cron fields accept *, numbers, ranges (1-5), lists (1,15) and steps (*/5,
+// 0-30/10). Times are evaluated in the server's local timezone.
+import { AppError } from "./errors.js";
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 6 },
+];
+
+const ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+// Scheduled refreshes closer together than this would only burn budget
+const MIN_INTERVAL = 60 * 1000;
+
+const invalid = (expression, reason) =>
+  new AppError("VALIDATION", `Invalid schedule "${expression}": ${reason}`);
+
+function parseField(text, { name, min, max }, expression) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw invalid(expression, `bad ${name} "${part}"`);
+
+    const [, , start, end, step] = match;
+    const from = start === undefined ? min : Number(start);
+    // "5/15" means every 15 starting at 5
+    let to = from;
+    if (end !== undefined) to = Number(end);
+    else if (start === undefined || step) to = max;
+    const by = step === undefined ? 1 : Number(step);
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw invalid(expression, `${name} must be within ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += by) values.add(value);
+  }
+
+  return values;
+}
+
+function parseCron(expression, fields) {
+  const parts = fields.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw invalid(
+      expression,
+      "expected 5 fields (minute hour day-of-month month weekday)"
+    );
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index], expression)
+  );
+  // Like cron, a restricted day-of-month OR day-of-week matches either
+  const anyDay = parts[2] === "*" || parts[4] === "*";
+  const dayMatches = (date) =>
+    anyDay
+      ? days.has(date.getDate()) && weekdays.has(date.getDay())
+      : days.has(date.getDate()) || weekdays.has(date.getDay());
+
+  return {
+    // First matching minute after `from`
+    next(from) {
+      const date = new Date(from.getTime());
+      date.setSeconds(0, 0);
+      date.setMinutes(date.getMinutes() + 1);
+
+      // Skips whole months, days and hours that can't match. Five years
+      // reach the next leap day, so anything still unmatched never will.
+      const limit = from.getTime() + 5 * 366 * UNITS.d;
+      while (date.getTime() <= limit) {
+        if (!months.has(date.getMonth() + 1)) {
+          date.setMonth(date.getMonth() + 1, 1);
+          date.setHours(0, 0);
+        } else if (!dayMatches(date)) {
+          date.setDate(date.getDate() + 1);
+          date.setHours(0, 0);
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setMinutes(date.getMinutes() + 1);
+        } else {
+          return date;
+        }
+      }
+      throw invalid(expression, "never matches");
+    },
+  };
+}
+
+// Returns { expression, next(from: Date, lastRun?: Date) -> Date }.
+// Throws a 400 error for expressions it can't use.
+export function parseSchedule(expression) {
+  const text = String(expression || "").trim();
+  if (!text) throw invalid(text, "schedule is required");
+
+  const every = text.match(/^@every\s+(\d+)\s*([smhd])$/i);
+  if (every) {
+    const interval = Number(every[1]) * UNITS[every[2].toLowerCase()];
+    if (interval < MIN_INTERVAL) {
+      throw invalid(text, "intervals must be at least 1 minute");
+    }
+    return {
+      expression: text,
+      interval,
+      next(from, lastRun = null) {
+        if (!lastRun) return new Date(from.getTime());
+        return new Date(
+          Math.max(lastRun.getTime() + interval, from.getTime())
+        );
+      },
+    };
+  }
+
+  const cron = parseCron(text, ALIASES[text.toLowerCase()] || text);
+  // Reject expressions like "0 0 31 2 *" up front
+  cron.next(new Date());
+  return {
+    expression: text,
+    interval: null,
+    next: (from) => cron.next(from),
+  };
+}
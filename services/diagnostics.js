@@ -0,0 +1,88 @@
+// services/diagnostics.js - Recent errors and server state for admins
+import { provider, cache, getScraperStats } from "./scraper.js";
+import { scheduler } from "./scheduler.js";
+import { budgetStatus } from "./usage.js";
+
+// Errors kept for the dashboard, newest first. In memory, per process.
+const MAX_ERRORS = 100;
+const errors = [];
+
+// source: "scraper", "api", "server", "alerts", ...
+export function recordError(source, message, details = {}) {
+  errors.unshift({
+    at: new Date().toISOString(),
+    source,
+    message: String(message),
+    ...details,
+  });
+  errors.length = Math.min(errors.length, MAX_ERRORS);
+}
+
+export const recentErrors = (limit = MAX_ERRORS) => errors.slice(0, limit);
+
+// Record every failed provider run
+export function trackErrors(events) {
+  events.on("failed", ({ cacheKey, route, error }) => {
+    recordError("scraper", error.message, { cacheKey, route });
+  });
+}
+
+// Every cached dataset with its age and freshness, newest first
+export async function listCacheEntries() {
+  const now = Date.now();
+  const entries = await Promise.all(
+    (await cache.keys()).map(async (key) => {
+      const entry = await cache.peek(key);
+      if (!entry) return null;
+
+      const age = now - entry.timestamp;
+      return {
+        key,
+        route: entry.route,
+        items: Array.isArray(entry.data) ? entry.data.length : 0,
+        fetchedAt: new Date(entry.timestamp).toISOString(),
+        ageSeconds: Math.round(age / 1000),
+        ttlSeconds: Math.round(entry.ttl / 1000),
+        fresh: age < entry.ttl,
+      };
+    })
+  );
+
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => b.fetchedAt.localeCompare(a.fetchedAt));
+}
+
+// Everything the public health check leaves out
+export async function getDiagnostics() {
+  const apiStatus = provider.status;
+
+  // Re-validate the API key so a fixed configuration shows up right away
+  if (!apiStatus.valid && provider.tokenConfigured) {
+    await provider.initialize();
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV,
+    vercel: Boolean(process.env.VERCEL),
+    uptimeSeconds: Math.round(process.uptime()),
+    provider: provider.name,
+    apiKeyConfigured: provider.tokenConfigured,
+    apiKeyPreview: provider.tokenPreview,
+    apiStatus,
+    cache: cache.stats(),
+    scraper: getScraperStats(),
+    budget: budgetStatus(),
+    schedulerRunning: scheduler.running,
+    recentErrors: recentErrors(20),
+    instructions: !apiStatus.valid
+      ? [
+          "1. Visit https://console.apify.com/account/integrations",
+          "2. Copy your API token (starts with apify_api_)",
+          "3. Add it to Vercel Environment Variables as APIFY_API_KEY",
+          "4. Redeploy your application",
+        ]
+      : null,
+  };
+}
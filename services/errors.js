@@ -0,0 +1,60 @@
+// services/errors.js - Typed errors and the JSON error envelope
+import "../public/js/error-codes.js";
+
+// Shared with the browser, see public/js/error-codes.js
+export const ERROR_CODES = globalThis.TokViewErrorCodes;
+
+// An error with a code from ERROR_CODES. The HTTP status follows from the
+// code; `details` carries field-level information, `retryAfter` seconds.
+export class AppError extends Error {
+  constructor(code, message, { details, retryAfter } = {}) {
+    if (!ERROR_CODES[code]) throw new Error(`Unknown error code "${code}"`);
+    super(message || ERROR_CODES[code].title);
+    this.name = "AppError";
+    this.code = code;
+    this.status = ERROR_CODES[code].status;
+    if (details !== undefined) this.details = details;
+    if (retryAfter !== undefined) this.retryAfter = retryAfter;
+  }
+}
+
+// Codes for errors that only carry an HTTP status (Express body parser,
+// third-party middleware)
+const STATUS_CODES = {
+  400: "VALIDATION",
+  401: "AUTH_REQUIRED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  413: "VALIDATION",
+  429: "RATE_LIMITED",
+  502: "UPSTREAM_ERROR",
+  503: "UPSTREAM_ERROR",
+  504: "UPSTREAM_TIMEOUT",
+};
+
+export function errorCode(error) {
+  if (error && ERROR_CODES[error.code] && error.code !== "NETWORK") {
+    return error.code;
+  }
+  return STATUS_CODES[error?.status] || "INTERNAL";
+}
+
+export const errorStatus = (error) => ERROR_CODES[errorCode(error)].status;
+
+// { success: false, code, error, message?, details?, retryAfter? }
+// `error` is the specific problem, `message` what the request was doing.
+export function errorBody(error, message) {
+  const body = {
+    success: false,
+    code: errorCode(error),
+    error: error?.message || ERROR_CODES.INTERNAL.title,
+  };
+  if (message) body.message = message;
+  if (error?.details !== undefined) body.details = error.details;
+  if (error?.retryAfter !== undefined) body.retryAfter = error.retryAfter;
+  return body;
+}
+
+export function sendError(res, error, message) {
+  res.status(errorStatus(error)).json(errorBody(error, message));
+}
@@ -0,0 +1,95 @@
+// services/export.js - Download list results as CSV, JSON or NDJSON
+import { AppError } from "./errors.js";
+
+export const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+// Exports may cover every page the visitor has loaded, not just one
+export const EXPORT_MAX_LIMIT =
+  parseInt(process.env.PAGINATION_MAX_DEPTH, 10) || 200;
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// The requested export format, or null for a regular API response.
+// Throws a 400 error for unknown formats.
+export function parseExportFormat(format) {
+  if (format === undefined || format === "") return null;
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new AppError(
+      "VALIDATION",
+      `format must be one of: ${EXPORT_FORMATS.join(", ")}`
+    );
+  }
+  return format;
+}
+
+// Nested objects become dotted columns ("creator.username"), arrays are
+// joined with spaces
+function flatten(record, prefix = "", row = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const column = prefix + key;
+    if (Array.isArray(value)) {
+      row[column] = value.join(" ");
+    } else if (value && typeof value === "object") {
+      flatten(value, `${column}.`, row);
+    } else {
+      row[column] = value;
+    }
+  });
+  return row;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheets from evaluating text cells as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const rows = records.map((record) => flatten(record));
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+
+  return [
+    columns.map(csvCell).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvCell(row[column])).join(",")
+    ),
+  ].join("\r\n");
+}
+
+const safeName = (name) =>
+  name.replace(/[^\w.-]+/g, "_").replace(/^_+|_+$/g, "") || "export";
+
+// Send videos (and the profile they belong to, if any) as a file download.
+// CSV and NDJSON rows are one video each, with the profile attached so
+// every row stands on its own.
+export function sendExport(res, format, { name, videos, profile = null }) {
+  const records = profile
+    ? videos.map((video) => ({ ...video, profile }))
+    : videos;
+  const date = new Date().toISOString().slice(0, 10);
+
+  let body;
+  if (format === "csv") {
+    body = toCsv(records);
+  } else if (format === "ndjson") {
+    body = records.map((record) => JSON.stringify(record)).join("\n") + "\n";
+  } else {
+    body = JSON.stringify(profile ? { profile, videos } : { videos }, null, 2);
+  }
+
+  res.set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${safeName(
+      name
+    )}-${date}.${format}"`,
+  });
+  res.send(body);
+}
@@ -0,0 +1,89 @@
+// services/feed.js - Latest videos from every source on a watchlist, merged
+import { runScraper } from "./scraper.js";
+import { mapVideos } from "./mappers.js";
+import { buildQuery } from "./queries.js";
+import { parsePageParams, encodeCursor } from "./pagination.js";
+import {
+  parseListOptions,
+  applyListOptions,
+  itemTimestamp,
+} from "./filters.js";
+import { getWatchlist, DEFAULT_WATCHLIST } from "./watchlists.js";
+
+const FEED_PAGE_SIZE = 20;
+
+// The same queries the profile and hashtag pages run, so the feed shares
+// their cache entries, freshness and stale-while-revalidate refreshes
+function watchedQueries(watchlist) {
+  return [
+    ...watchlist.usernames.map((username) => ({
+      type: "profile",
+      value: username,
+      query: buildQuery("profile", { username }),
+    })),
+    ...watchlist.hashtags.map((tag) => ({
+      type: "hashtag",
+      value: tag,
+      query: buildQuery("hashtag", { tag }),
+    })),
+  ];
+}
+
+// One page of the merged feed, newest first unless `page` asks for another
+// sort. Sources that fail are reported in `sources` without failing the
+// feed, unless every one of them failed.
+export async function loadFeed(
+  watchlistId = DEFAULT_WATCHLIST,
+  page = {},
+  { maxLimit } = {}
+) {
+  const watchlist = await getWatchlist(watchlistId);
+  const listOptions = parseListOptions(page);
+  const { offset, limit } = parsePageParams(page, FEED_PAGE_SIZE, maxLimit);
+
+  const watched = watchedQueries(watchlist);
+  const results = await Promise.allSettled(
+    watched.map(({ query }) =>
+      runScraper(query.input, {
+        cacheKey: query.cacheKey,
+        route: query.route,
+        username: query.username,
+      })
+    )
+  );
+
+  const failures = results.filter((result) => result.status === "rejected");
+  if (watched.length > 0 && failures.length === watched.length) {
+    throw failures[0].reason;
+  }
+
+  const seen = new Set();
+  const merged = [];
+  results.forEach((result) => {
+    if (result.status !== "fulfilled") return;
+    result.value.forEach((item) => {
+      if (!item?.id || seen.has(item.id)) return;
+      seen.add(item.id);
+      merged.push(item);
+    });
+  });
+  merged.sort((a, b) => itemTimestamp(b) - itemTimestamp(a));
+
+  const selected = applyListOptions(merged, listOptions);
+  const end = offset + limit;
+  const videos = mapVideos(selected.slice(offset, end));
+
+  return {
+    watchlist,
+    sources: watched.map(({ type, value }, index) => {
+      const result = results[index];
+      return result.status === "fulfilled"
+        ? { type, value, status: "ok", count: result.value.length }
+        : { type, value, status: "error", error: result.reason.message };
+    }),
+    data: videos,
+    count: videos.length,
+    total: selected.length,
+    nextCursor: selected.length > end ? encodeCursor(end) : null,
+  };
+}
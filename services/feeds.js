@@ -0,0 +1,169 @@
+// services/feeds.js - RSS 2.0, Atom and JSON Feed documents from mapped videos
+import { formatNumber } from "./view-helpers.js";
+
+export const FEED_FORMATS = ["rss", "atom", "json"];
+
+export const CONTENT_TYPES = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const TITLE_LENGTH = 100;
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// mapVideos passes createTime through, which the actor reports in seconds
+export const videoDate = (video) =>
+  new Date(video.createdAt < 1e12 ? video.createdAt * 1000 : video.createdAt);
+
+export const playerUrl = (video) =>
+  `https://www.tiktok.com/embed/v2/${video.id}`;
+
+function itemTitle(video) {
+  const firstLine = (video.description || "").split("\n")[0].trim();
+  if (!firstLine) return `Video by @${video.creator.username}`;
+  return firstLine.length > TITLE_LENGTH
+    ? `${firstLine.slice(0, TITLE_LENGTH - 1)}…`
+    : firstLine;
+}
+
+// HTML body shared by every format: caption, stats and the player link
+function itemHtml(video) {
+  const stats = [
+    `▶ ${formatNumber(video.plays)} plays`,
+    `♥ ${formatNumber(video.likes)} likes`,
+    `💬 ${formatNumber(video.comments)} comments`,
+  ].join(" · ");
+
+  return [
+    `<p>${escapeXml(video.description)}</p>`,
+    `<p>${stats}</p>`,
+    `<p>🎵 ${escapeXml(video.soundtrack)}</p>`,
+    `<p><a href="${escapeXml(playerUrl(video))}">Watch in the player</a>`,
+    ` · <a href="${escapeXml(video.videoUrl)}">Open on TikTok</a></p>`,
+  ].join("");
+}
+
+function rss(feed) {
+  const items = feed.videos.map(
+    (video) => `    <item>
+      <title>${escapeXml(itemTitle(video))}</title>
+      <link>${escapeXml(video.videoUrl)}</link>
+      <guid isPermaLink="false">tiktok-video-${escapeXml(video.id)}</guid>
+      <pubDate>${videoDate(video).toUTCString()}</pubDate>
+      <author>@${escapeXml(video.creator.username)}</author>
+      <description>${escapeXml(itemHtml(video))}</description>
+      <media:player url="${escapeXml(playerUrl(video))}" />
+${video.hashtags
+  .map((tag) => `      <category>${escapeXml(tag)}</category>\n`)
+  .join("")}    </item>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.pageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(
+      feed.feedUrl
+    )}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+function atom(feed) {
+  const entries = feed.videos.map(
+    (video) => `  <entry>
+    <id>tag:tiktok.com,2016:video/${escapeXml(video.id)}</id>
+    <title>${escapeXml(itemTitle(video))}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(
+      video.videoUrl
+    )}" />
+    <link rel="related" type="text/html" href="${escapeXml(
+      playerUrl(video)
+    )}" />
+    <published>${videoDate(video).toISOString()}</published>
+    <updated>${videoDate(video).toISOString()}</updated>
+    <author><name>@${escapeXml(video.creator.username)}</name></author>
+    <content type="html">${escapeXml(itemHtml(video))}</content>
+${video.hashtags
+  .map((tag) => `    <category term="${escapeXml(tag)}" />\n`)
+  .join("")}  </entry>`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(
+    feed.feedUrl
+  )}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.pageUrl)}" />
+  <updated>${feed.updated.toISOString()}</updated>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+function jsonFeed(feed) {
+  return JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title: feed.title,
+      home_page_url: feed.pageUrl,
+      feed_url: feed.feedUrl,
+      description: feed.description,
+      items: feed.videos.map((video) => ({
+        id: `tiktok-video-${video.id}`,
+        url: video.videoUrl,
+        title: itemTitle(video),
+        content_html: itemHtml(video),
+        content_text: video.description,
+        image: video.creator.avatar,
+        date_published: videoDate(video).toISOString(),
+        authors: [
+          {
+            name: `@${video.creator.username}`,
+            avatar: video.creator.avatar,
+          },
+        ],
+        tags: video.hashtags,
+        _tokview: {
+          player_url: playerUrl(video),
+          video: video,
+        },
+      })),
+    },
+    null,
+    2
+  );
+}
+
+const BUILDERS = { rss, atom, json: jsonFeed };
+
+// Render a feed document. `updated` is when the videos were fetched.
+export function buildFeed(
+  format,
+  { title, description, pageUrl, feedUrl, videos, updated }
+) {
+  return BUILDERS[format]({
+    title,
+    description,
+    pageUrl,
+    feedUrl,
+    videos,
+    updated,
+  });
+}
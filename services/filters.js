@@ -0,0 +1,138 @@
+// services/filters.js - Sort and filter options shared by every list endpoint
+import { AppError } from "./errors.js";
+import { normalizeHashtag, normalizeUsername } from "./validation.js";
+
+export const SORT_FIELDS = [
+  "likes",
+  "plays",
+  "comments",
+  "shares",
+  "createdAt",
+  "engagement",
+];
+
+// Milliseconds since epoch for a raw item. The actor reports createTime in
+// seconds; some recordings carry an ISO string instead.
+export function itemTimestamp(item) {
+  if (item.createTimeISO) return Date.parse(item.createTimeISO);
+  const time = Number(item.createTime) || 0;
+  return time < 1e12 ? time * 1000 : time;
+}
+
+// (likes + comments + shares) / plays, 0 for unplayed videos
+export function engagementRate(item) {
+  const plays = item.playCount || 0;
+  if (!plays) return 0;
+  const interactions =
+    (item.diggCount || 0) + (item.commentCount || 0) + (item.shareCount || 0);
+  return interactions / plays;
+}
+
+const SORT_VALUES = {
+  likes: (item) => item.diggCount || 0,
+  plays: (item) => item.playCount || 0,
+  comments: (item) => item.commentCount || 0,
+  shares: (item) => item.shareCount || 0,
+  createdAt: itemTimestamp,
+  engagement: engagementRate,
+};
+
+function parseCount(value, name) {
+  if (value === undefined || value === "") return null;
+  const count = Number(value);
+  if (!Number.isFinite(count) || count < 0) {
+    throw new AppError("VALIDATION", `${name} must be a positive number`);
+  }
+  return count;
+}
+
+function parseDate(value, name, endOfDay = false) {
+  if (value === undefined || value === "") return null;
+  // Plain dates cover the whole day
+  const text =
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay
+      ? `${value}T23:59:59.999Z`
+      : value;
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    throw new AppError("VALIDATION", `${name} must be a date like 2024-01-31`);
+  }
+  return time;
+}
+
+// Filter values are matched, not fetched, so they are normalized without
+// being rejected
+const canonical = (value, normalize) => (value ? normalize(value) : null);
+
+// Read sort/filter params from a query string. Throws a 400 error for
+// values it can't use.
+//
+//   sort=likes|plays|comments|shares|createdAt|engagement  order=desc|asc
+//   minPlays, minLikes, from, to (dates), hashtag, creator, originalSound=1
+export function parseListOptions(query = {}) {
+  const sort = query.sort || null;
+  if (sort && !SORT_FIELDS.includes(sort)) {
+    throw new AppError(
+      "VALIDATION",
+      `sort must be one of: ${SORT_FIELDS.join(", ")}`
+    );
+  }
+
+  const order = query.order || "desc";
+  if (order !== "asc" && order !== "desc") {
+    throw new AppError("VALIDATION", 'order must be "asc" or "desc"');
+  }
+
+  const filters = {
+    minPlays: parseCount(query.minPlays, "minPlays"),
+    minLikes: parseCount(query.minLikes, "minLikes"),
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to", true),
+    hashtag: canonical(query.hashtag, normalizeHashtag),
+    creator: canonical(query.creator, normalizeUsername),
+    originalSound: ["1", "true", "on"].includes(String(query.originalSound)),
+  };
+
+  return { sort, order, filters };
+}
+
+// Filter then sort raw scraper items
+export function applyListOptions(items, { sort, order, filters }) {
+  const selected = items.filter((item) => {
+    if (filters.minPlays !== null && (item.playCount || 0) < filters.minPlays) {
+      return false;
+    }
+    if (filters.minLikes !== null && (item.diggCount || 0) < filters.minLikes) {
+      return false;
+    }
+
+    const time = itemTimestamp(item);
+    if (filters.from !== null && time < filters.from) return false;
+    if (filters.to !== null && time > filters.to) return false;
+
+    if (
+      filters.hashtag &&
+      !(item.hashtags || []).some(
+        (h) => (h.name || "").toLowerCase() === filters.hashtag
+      )
+    ) {
+      return false;
+    }
+    if (
+      filters.creator &&
+      (item.authorMeta?.name || "").toLowerCase() !== filters.creator
+    ) {
+      return false;
+    }
+    if (filters.originalSound && !item.musicMeta?.musicOriginal) {
+      return false;
+    }
+    return true;
+  });
+
+  if (!sort) return selected;
+
+  const value = SORT_VALUES[sort];
+  const direction = order === "asc" ? 1 : -1;
+  return [...selected].sort((a, b) => (value(a) - value(b)) * direction);
+}
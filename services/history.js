@@ -0,0 +1,220 @@
+// services/history.js - Metric snapshots of videos and profiles over time
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { createJsonStore, DATA_DIR } from "./store.js";
+import { itemTimestamp } from "./filters.js";
+
+// Oldest snapshots are dropped past this many per video or profile
+const MAX_SNAPSHOTS = parseInt(process.env.HISTORY_MAX_SNAPSHOTS, 10) || 200;
+// Videos and profiles not seen for the longest are forgotten past this many
+const MAX_VIDEOS = parseInt(process.env.HISTORY_MAX_VIDEOS, 10) || 5000;
+const MAX_PROFILES = parseInt(process.env.HISTORY_MAX_PROFILES, 10) || 1000;
+// A video or profile seen again sooner than this keeps its last snapshot,
+// so refetches and overlapping datasets don't fill the history
+const MIN_SNAPSHOT_INTERVAL =
+  (parseInt(process.env.HISTORY_MIN_INTERVAL, 10) || 10 * 60) * 1000;
+
+// Video ids remembered per profile, newest last
+const MAX_PROFILE_VIDEOS = 1000;
+
+// How often the limits on videos and profiles are enforced
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// Growth over less than this is too noisy; fall back to lifetime averages
+const MIN_VELOCITY_SPAN = 60 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+
+// One document per video and per profile (DATA_DIR/history/<kind>/), so
+// recording a dataset only rewrites the entries it has. Files are named by
+// the id's hash: ids come from the data source and may be anything.
+const HISTORY_DIR = path.join(DATA_DIR, "history");
+
+const entryStore = (kind, id, defaults = null) =>
+  createJsonStore(
+    `history/${kind}/${crypto.createHash("sha256").update(id).digest("hex")}`,
+    defaults
+  );
+
+function append(snapshots, snapshot) {
+  const last = snapshots.at(-1);
+  const since = last ? Date.parse(snapshot.at) - Date.parse(last.at) : Infinity;
+  if (since < MIN_SNAPSHOT_INTERVAL) return;
+
+  snapshots.push(snapshot);
+  if (snapshots.length > MAX_SNAPSHOTS) {
+    snapshots.splice(0, snapshots.length - MAX_SNAPSHOTS);
+  }
+}
+
+// Delete the entries written longest ago until at most `max` remain. Every
+// sighting rewrites an entry, so that is the one seen longest ago.
+async function forgetOldest(kind, max) {
+  const dir = path.join(HISTORY_DIR, kind);
+  let names;
+  try {
+    names = (await fs.readdir(dir)).filter((name) => name.endsWith(".json"));
+  } catch (error) {
+    if (error.code === "ENOENT") return;
+    throw error;
+  }
+  if (names.length <= max) return;
+
+  const files = await Promise.all(
+    names.map(async (name) => {
+      const file = path.join(dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      return { file, mtime: stat ? stat.mtimeMs : 0 };
+    })
+  );
+  await Promise.all(
+    files
+      .sort((a, b) => a.mtime - b.mtime)
+      .slice(0, files.length - max)
+      .map(({ file }) => fs.rm(file, { force: true }))
+  );
+}
+
+let lastSweep = 0;
+
+function sweep() {
+  if (Date.now() - lastSweep < SWEEP_INTERVAL) return;
+  lastSweep = Date.now();
+
+  Promise.all([
+    forgetOldest("videos", MAX_VIDEOS),
+    forgetOldest("profiles", MAX_PROFILES),
+  ]).catch((error) =>
+    console.error("❌ Failed to prune history:", error.message)
+  );
+}
+
+// Record one snapshot per video and per creator found in a dataset
+export async function recordSnapshots(items, at = new Date().toISOString()) {
+  const authors = new Map();
+  const videos = new Map();
+  items.forEach((item) => {
+    const author = item?.authorMeta;
+    if (author?.name) authors.set(author.name.toLowerCase(), author);
+    if (item?.id) videos.set(String(item.id), item);
+  });
+
+  await Promise.all(
+    [...authors].map(([username, author]) =>
+      entryStore("profiles", username, {
+        username,
+        snapshots: [],
+        videos: [],
+      }).update((profile) => {
+        append(profile.snapshots, {
+          at,
+          followers: author.fans || author.followers || 0,
+          following: author.following || 0,
+          likes: author.heart || 0,
+          videos: author.video || 0,
+        });
+
+        const ids = [...videos]
+          .filter(([, item]) => item.authorMeta.name?.toLowerCase() === username)
+          .map(([id]) => id)
+          .filter((id) => !profile.videos.includes(id));
+        profile.videos.push(...ids);
+        profile.videos.splice(
+          0,
+          Math.max(0, profile.videos.length - MAX_PROFILE_VIDEOS)
+        );
+      })
+    )
+  );
+
+  await Promise.all(
+    [...videos].map(([id, item]) =>
+      entryStore("videos", id, {
+        id,
+        creator: (item.authorMeta?.name || "").toLowerCase(),
+        description: (item.text || "").slice(0, 140),
+        createdAt: new Date(itemTimestamp(item)).toISOString(),
+        snapshots: [],
+      }).update((video) => {
+        append(video.snapshots, {
+          at,
+          plays: item.playCount || 0,
+          likes: item.diggCount || 0,
+          comments: item.commentCount || 0,
+          shares: item.shareCount || 0,
+        });
+      })
+    )
+  );
+
+  sweep();
+}
+
+// Plays per hour: between the first and last snapshot when they are far
+// enough apart, otherwise averaged over the video's lifetime
+function velocity(video) {
+  const first = video.snapshots[0];
+  const last = video.snapshots.at(-1);
+  const span = Date.parse(last.at) - Date.parse(first.at);
+
+  if (span >= MIN_VELOCITY_SPAN) {
+    return {
+      playsPerHour: Math.round((last.plays - first.plays) / (span / HOUR)),
+      velocitySource: "snapshots",
+    };
+  }
+
+  const age = Math.max(Date.parse(last.at) - Date.parse(video.createdAt), HOUR);
+  return {
+    playsPerHour: Math.round(last.plays / (age / HOUR)),
+    velocitySource: "lifetime",
+  };
+}
+
+export async function getVideoHistory(id) {
+  const video = await entryStore("videos", String(id)).read();
+  if (!video) return null;
+
+  return { ...video, ...velocity(video) };
+}
+
+// Follower snapshots for a creator plus the history of each of their videos
+// seen so far, newest videos first. Null when the creator was never fetched.
+export async function getProfileHistory(username) {
+  const key = username.toLowerCase();
+  const profile = await entryStore("profiles", key).read();
+  if (!profile) return null;
+
+  // One at a time, so a long list doesn't open hundreds of files at once.
+  // Videos forgotten since are skipped.
+  const videos = [];
+  for (const id of profile.videos) {
+    const video = await entryStore("videos", id).read();
+    if (video) videos.push(video);
+  }
+
+  return {
+    username: key,
+    snapshots: profile.snapshots,
+    videos: videos
+      .map((video) => ({
+        id: video.id,
+        description: video.description,
+        createdAt: video.createdAt,
+        latest: video.snapshots.at(-1),
+        ...velocity(video),
+        snapshots: video.snapshots,
+      }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+  };
+}
+
+// Record every dataset the scraper fetches
+export function trackHistory(events) {
+  events.on("fetched", ({ items }) => {
+    recordSnapshots(items).catch((error) =>
+      console.error("❌ Failed to record history:", error.message)
+    );
+  });
+}
@@ -0,0 +1,202 @@
+// services/jobs.js - Scrape jobs with progress, derived from the provider run
+//
+// A job keeps no server-side state. Its id is a signed token holding the
+// list query and the provider run id, and every status request asks the
+// provider for the run's status and the items after the client's offset.
+// Any instance can answer for any job, and nothing keeps polling once a
+// response is sent, so jobs survive serverless instances being frozen or
+// replaced between requests. The exception is a job whose run was still
+// waiting for a free slot: only the instance that queued it knows the run
+// id once it starts.
+import crypto from "crypto";
+import { startScraper, pollScraper, findRun, cache } from "./scraper.js";
+import { mapVideos } from "./mappers.js";
+import { buildQuery, loadList } from "./queries.js";
+import { parseListOptions } from "./filters.js";
+import { parsePageParams } from "./pagination.js";
+import { AppError, errorCode, errorStatus } from "./errors.js";
+
+// Jobs can be read for this long after they start
+const JOB_TTL = (parseInt(process.env.JOB_TTL, 10) || 30 * 60) * 1000;
+
+// How often the event stream polls the provider for new items
+export const POLL_INTERVAL =
+  parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+
+// Job ids are signed so a client can't point one at another run or query.
+// Instances that should read each other's jobs need the same JOB_SECRET;
+// the Apify token is shared already, so it is the fallback.
+const JOB_SECRET =
+  process.env.JOB_SECRET ||
+  process.env.APIFY_API_KEY ||
+  crypto.randomBytes(32).toString("hex");
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", JOB_SECRET).update(payload).digest("base64url");
+
+// { type, params, options, runId, waiting, at } -> "<payload>.<signature>"
+function encodeJobId(job) {
+  const payload = Buffer.from(JSON.stringify(job)).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+// The job in an id, or null when it is forged, malformed or expired
+function decodeJobId(id) {
+  const [payload, signature] = String(id || "").split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+
+  try {
+    const job = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return Date.now() - job.at > JOB_TTL ? null : job;
+  } catch (error) {
+    return null;
+  }
+}
+
+export const isFinished = (job) =>
+  job.status === "succeeded" || job.status === "failed";
+
+const scrapeOptions = (query) => ({
+  cacheKey: query.cacheKey,
+  route: query.route,
+  username: query.username,
+});
+
+// Public view of a job. `items` are the videos after the offset the client
+// asked about.
+function snapshot(id, job, query, fields) {
+  return {
+    id,
+    type: job.type,
+    params: job.params,
+    options: job.options,
+    status: "running",
+    source: job.runId || job.waiting ? "scraper" : "cache",
+    itemCount: 0,
+    expected: query.input.resultsPerPage,
+    createdAt: new Date(job.at).toISOString(),
+    updatedAt: new Date().toISOString(),
+    result: null,
+    error: null,
+    items: [],
+    ...fields,
+  };
+}
+
+function failure(error) {
+  return {
+    code: errorCode(error),
+    message: error.message,
+    status: errorStatus(error),
+    // Seconds until a rate-limited client may try again
+    retryAfter: error.retryAfter,
+  };
+}
+
+// The dataset is cached now, so this builds the requested page from it
+async function finish(id, job, query, fields) {
+  try {
+    const result = await loadList(job.type, job.params, job.options);
+    return snapshot(id, job, query, {
+      ...fields,
+      status: "succeeded",
+      result,
+    });
+  } catch (error) {
+    console.error(`❌ Job ${job.type} failed:`, error.message);
+    return snapshot(id, job, query, {
+      ...fields,
+      status: "failed",
+      error: failure(error),
+    });
+  }
+}
+
+// Start a job for a list type ("hashtag", "profile", ...). Jobs for the same
+// dataset share one provider run, including a run a page request started,
+// but each set of options (sort, filters, cursor) is its own job with its
+// own result. A cached dataset comes back as a finished job. Throws a
+// VALIDATION error for invalid params.
+export async function createJob(type, params = {}, options = {}) {
+  const query = buildQuery(type, params);
+  parseListOptions(options);
+  if (type !== "trending") {
+    parsePageParams(options, query.input.resultsPerPage);
+  }
+
+  // Before the run starts, so the dataset it caches is newer than the job
+  const at = Date.now();
+  const started = await startScraper(query.input, scrapeOptions(query));
+  const job = {
+    type,
+    params: query.params,
+    options,
+    runId: started.runId || null,
+    at,
+  };
+  // The run is queued behind others and has no id yet
+  if (!started.items && !job.runId) job.waiting = true;
+  const id = encodeJobId(job);
+
+  if (started.items) {
+    return finish(id, job, query, { itemCount: started.items.length });
+  }
+  return snapshot(id, job, query, job.waiting ? { status: "queued" } : {});
+}
+
+// Current state of a job, with the videos scraped after `offset`. Returns
+// null for unknown or expired ids.
+export async function getJob(id, { offset = 0 } = {}) {
+  const job = decodeJobId(id);
+  if (!job) return null;
+  const query = buildQuery(job.type, job.params);
+
+  const scraped = job.runId || job.waiting;
+
+  // Whoever saw the run finish has cached its dataset
+  const cached = scraped ? await cache.peek(query.cacheKey) : null;
+  if (!scraped || (cached && cached.timestamp >= job.at)) {
+    return finish(id, job, query, {
+      itemCount: cached ? cached.data.length : 0,
+    });
+  }
+
+  try {
+    const runId = job.runId || findRun(query.cacheKey, job.at)?.runId;
+    if (runId === null) return snapshot(id, job, query, { status: "queued" });
+    if (!runId) {
+      throw new AppError(
+        "UPSTREAM_ERROR",
+        "The run for this job is no longer available. Start the job again."
+      );
+    }
+
+    const { done, newItems } = await pollScraper(runId, query.input, {
+      ...scrapeOptions(query),
+      offset,
+    });
+    const fields = {
+      itemCount: offset + newItems.length,
+      items: mapVideos(newItems),
+    };
+    return done
+      ? finish(id, job, query, fields)
+      : snapshot(id, job, query, fields);
+  } catch (error) {
+    console.error(`❌ Job ${job.type} failed:`, error.message);
+    return snapshot(id, job, query, {
+      itemCount: offset,
+      status: "failed",
+      error: failure(error),
+    });
+  }
+}
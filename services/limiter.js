@@ -0,0 +1,35 @@
+// services/limiter.js - Cap how many tasks run at once, queueing the rest
+
+export function createLimiter(maxConcurrent) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= maxConcurrent || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return {
+    // Resolve with the task's result once a slot is free and it has run
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    stats() {
+      return { active, queued: queue.length, maxConcurrent };
+    },
+  };
+}
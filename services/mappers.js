@@ -0,0 +1,105 @@
+// services/mappers.js - Normalize scraper items for the API and views
+
+// The sound a video uses. `original` marks a creator's own audio rather than
+// a licensed track.
+export function mapSound(musicMeta) {
+  if (!musicMeta || !musicMeta.musicId) return null;
+
+  return {
+    id: String(musicMeta.musicId),
+    title:
+      musicMeta.musicName ||
+      (musicMeta.musicOriginal ? "Original Sound" : "Unknown sound"),
+    author: musicMeta.musicAuthor || null,
+    original: musicMeta.musicOriginal || false,
+    cover: musicMeta.coverMediumUrl || null,
+    playUrl: musicMeta.playUrl || null,
+  };
+}
+
+// Map video data to consistent format
+export function mapVideos(items) {
+  if (!items || !Array.isArray(items)) return [];
+
+  return items
+    .filter((item) => item && item.id)
+    .map((item) => ({
+      id: item.id,
+      creator: {
+        username:
+          item.authorMeta?.name || item.authorMeta?.nickName || "unknown",
+        avatar:
+          item.authorMeta?.avatar ||
+          "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
+      },
+      description: item.text || "No description available",
+      soundtrack:
+        item.musicMeta?.musicName ||
+        (item.musicMeta?.musicOriginal
+          ? "Original Sound"
+          : "No sound information"),
+      sound: mapSound(item.musicMeta),
+      likes: item.diggCount || 0,
+      comments: item.commentCount || 0,
+      shares: item.shareCount || 0,
+      plays: item.playCount || 0,
+      saves: item.collectCount || 0,
+      hashtags: item.hashtags?.map((h) => h.name).filter(Boolean) || [],
+      mentions: (item.mentions || [])
+        .map((name) => String(name).replace(/^@/, ""))
+        .filter(Boolean),
+      // Seconds
+      duration: item.videoMeta?.duration || null,
+      cover: item.videoMeta?.coverUrl || null,
+      videoUrl:
+        item.webVideoUrl ||
+        `https://www.tiktok.com/@${item.authorMeta?.name}/video/${item.id}`,
+      createdAt: item.createTime || Date.now(),
+    }))
+    .filter((video) => video.id);
+}
+
+export function mapProfile(authorMeta) {
+  if (!authorMeta) return null;
+
+  return {
+    username: authorMeta.name || authorMeta.nickName,
+    bio: authorMeta.signature || "No bio available",
+    followers:
+      authorMeta.followers ||
+      authorMeta.fans ||
+      authorMeta.followerCount ||
+      0,
+    following: authorMeta.following || authorMeta.followingCount || 0,
+    likes: authorMeta.heart || authorMeta.diggCount || 0,
+    avatar:
+      authorMeta.avatar ||
+      "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
+    verified: authorMeta.verified || false,
+    private: authorMeta.privateAccount || false,
+  };
+}
+
+// Map top-level comments from the comments actor. Replies arrive as separate
+// items pointing at their parent and are only counted, not listed.
+export function mapComments(items) {
+  if (!items || !Array.isArray(items)) return [];
+
+  return items
+    .filter((item) => item && item.cid && !item.repliesToId)
+    .map((item) => ({
+      id: String(item.cid),
+      text: item.text || "",
+      author: {
+        username: item.uniqueId || "unknown",
+        avatar:
+          item.avatarThumbnail ||
+          "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
+      },
+      likes: item.diggCount || 0,
+      replies: item.replyCommentTotal || 0,
+      createdAt: item.createTime || null,
+      pinned: item.pinnedByAuthor || false,
+      likedByAuthor: item.likedByAuthor || false,
+    }));
+}
@@ -0,0 +1,94 @@
+// services/pagination.js - Cursor pagination over cached scraper datasets
+import { runScraper } from "./scraper.js";
+import { AppError } from "./errors.js";
+
+export const MAX_LIMIT = 50;
+
+// Deepest dataset we will ask the actor for when following cursors
+const MAX_DEPTH = parseInt(process.env.PAGINATION_MAX_DEPTH, 10) || 200;
+
+// Cursors are opaque to clients: base64url JSON holding the item offset
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  if (!cursor) return 0;
+
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Number.isInteger(o) && o >= 0) return o;
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw new AppError("VALIDATION", "Invalid cursor");
+}
+
+// Read cursor/limit from a query string, throwing a 400 for bad values
+export function parsePageParams(query, defaultLimit, maxLimit = MAX_LIMIT) {
+  const offset = decodeCursor(query.cursor);
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      throw new AppError(
+        "VALIDATION",
+        `limit must be between 1 and ${maxLimit}`
+      );
+    }
+  }
+
+  return { offset, limit };
+}
+
+// Return one page of items for a scraper query. The first dataset is the
+// one the route always fetched (input[depthKey] items). Pages beyond it
+// trigger a follow-up run for a dataset twice as deep, cached under its own
+// key, so repeated requests for the same page stay cheap.
+// `select` can filter or reorder the dataset before it is paged; the
+// unselected dataset is returned alongside it. Actors other than the video
+// scraper size their datasets with a different input field (`depthKey`).
+export async function fetchPage(
+  input,
+  {
+    cacheKey,
+    route,
+    username,
+    kind,
+    offset,
+    limit,
+    select = null,
+    depthKey = "resultsPerPage",
+  }
+) {
+  const baseDepth = input[depthKey];
+  let depth = baseDepth;
+  while (depth < offset + limit && depth < MAX_DEPTH) {
+    depth = Math.min(depth * 2, MAX_DEPTH);
+  }
+
+  const items = await runScraper(
+    { ...input, [depthKey]: depth },
+    {
+      cacheKey: depth === baseDepth ? cacheKey : `${cacheKey}_d${depth}`,
+      route,
+      username,
+      kind,
+    }
+  );
+
+  const selected = select ? select(items) : items;
+  const end = offset + limit;
+  // A full dataset may have more behind it; a short one is exhausted
+  const hasMore =
+    selected.length > end || (items.length >= depth && depth < MAX_DEPTH);
+
+  return {
+    dataset: items,
+    items: selected,
+    pageItems: selected.slice(offset, end),
+    nextCursor: hasMore ? encodeCursor(end) : null,
+  };
+}
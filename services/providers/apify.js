@@ -0,0 +1,145 @@
+// services/providers/apify.js - Apify actor data source
+import { ApifyClient } from "apify-client";
+
+const PLACEHOLDER_TOKEN = "your_actual_apify_api_key_here";
+
+// Apify run statuses after which the run will not produce more items
+const FINISHED_STATUSES = ["SUCCEEDED", "FAILED", "TIMED-OUT", "ABORTED"];
+
+// Create a provider that runs an Apify actor and reads back its dataset.
+// `actors.videos` can be any actor that accepts the clockworks/tiktok-scraper
+// input shape (hashtags, profiles, resultsPerPage, ...) and returns the same
+// items; `actors.comments` is run for { kind: "comments" }.
+export function createApifyProvider({ name = "apify", token, actors }) {
+  let client = null;
+
+  const actorFor = (kind = "videos") => {
+    if (!actors[kind]) throw new Error(`No actor configured for ${kind}`);
+    return actors[kind];
+  };
+
+  const status = {
+    provider: name,
+    actor: actors.videos,
+    configured: false,
+    valid: false,
+    message: "Not configured",
+    user: null,
+  };
+
+  async function initialize() {
+    // Check if API key is set
+    if (!token || token === PLACEHOLDER_TOKEN) {
+      status.message = "API key not configured in environment variables";
+      console.error("❌ " + status.message);
+      return;
+    }
+
+    // Validate API key format
+    if (!token.startsWith("apify_api_")) {
+      status.message = 'Invalid API key format. Must start with "apify_api_"';
+      console.error("❌ " + status.message);
+      return;
+    }
+
+    try {
+      console.log("🔄 Initializing Apify client...");
+
+      client = new ApifyClient({
+        token,
+      });
+
+      // Test authentication immediately
+      const user = await client.user().get();
+      status.configured = true;
+      status.valid = true;
+      status.user = user.username;
+      status.message = `Authenticated as: ${user.username}`;
+
+      console.log("✅ Apify client initialized successfully");
+      console.log(`✅ Authenticated as: ${user.username}`);
+    } catch (error) {
+      status.configured = true;
+      status.valid = false;
+
+      if (
+        error.message.includes("invalid token") ||
+        error.message.includes("unauthorized")
+      ) {
+        status.message = "Invalid API token. Please check your Apify API key.";
+      } else if (error.message.includes("rate limit")) {
+        status.message = "API rate limit exceeded. Please try again later.";
+      } else {
+        status.message = `API connection failed: ${error.message}`;
+      }
+
+      console.error("❌ Apify authentication failed:", error.message);
+      client = null;
+    }
+  }
+
+  function requireClient() {
+    if (!client) {
+      throw new Error(
+        "Apify client not available. Please check server configuration."
+      );
+    }
+  }
+
+  // Start a run without waiting for it. Runs are looked up by id from then
+  // on, so whichever server instance gets the next request can poll it.
+  async function start(input, { kind } = {}) {
+    requireClient();
+
+    const run = await client.actor(actorFor(kind)).start(input);
+    console.log(`✅ Apify run started: ${run.id}`);
+    return { id: run.id, run };
+  }
+
+  // Resolves with the run once it has finished, however it ended
+  async function wait(id) {
+    requireClient();
+
+    const run = await client.run(id).waitForFinish();
+    if (!run) throw new Error(`Actor run ${id} not found`);
+    return run;
+  }
+
+  // The run's status and the dataset items after `offset`
+  async function poll(id, { offset = 0 } = {}) {
+    requireClient();
+
+    const run = await client.run(id).get();
+    if (!run) throw new Error(`Actor run ${id} not found`);
+    const { items: newItems } = await client
+      .dataset(run.defaultDatasetId)
+      .listItems({ offset });
+
+    return {
+      status: run.status,
+      newItems,
+      done: FINISHED_STATUSES.includes(run.status),
+      succeeded: run.status === "SUCCEEDED",
+      run,
+    };
+  }
+
+  async function items(id) {
+    requireClient();
+
+    const { items } = await client.run(id).dataset().listItems();
+    return items;
+  }
+
+  return {
+    name,
+    status,
+    tokenConfigured: !!token && token !== PLACEHOLDER_TOKEN,
+    tokenPreview: token ? `${token.substring(0, 10)}...` : "Not set",
+    initialize,
+    start,
+    wait,
+    poll,
+    items,
+  };
+}
@@ -0,0 +1,186 @@
+// services/providers/fixture.js - Offline provider that replays datasets from disk
+import fs from "fs/promises";
+import path from "path";
+
+// Default dataset per kind of run, filtered by the actor input
+const DEFAULT_DATASETS = { videos: "videos", comments: "comments" };
+
+// File name used for a cache key, e.g. "hashtag_dance" -> "hashtag_dance.json"
+function fixtureFile(dir, key) {
+  const safeKey = String(key).replace(/[^a-zA-Z0-9_.-]/g, "_");
+  return path.join(dir, `${safeKey}.json`);
+}
+
+async function readDataset(file) {
+  try {
+    const raw = await fs.readFile(file, "utf8");
+    const items = JSON.parse(raw);
+    return Array.isArray(items) ? items : null;
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Invalid fixture ${path.basename(file)}: ${error.message}`);
+  }
+}
+
+// Trailing ids of post and music URLs
+const urlIds = (urls = []) =>
+  urls.map((url) => String(url).match(/(\d+)\/?$/)?.[1]).filter(Boolean);
+
+// Narrow the default dataset to what the input asked for, so hashtag,
+// profile and search pages look plausible offline. Items matching any of the
+// input's sources are kept; a source the recording doesn't have returns
+// nothing, like the live actor. Only the trending feed, which has no source
+// of its own, falls back to everything.
+function selectItems(items, input, { fallback = false } = {}) {
+  if (input.postURLs || input.musics) {
+    const postIds = urlIds(input.postURLs);
+    const musicIds = urlIds(input.musics);
+    return items
+      .filter(
+        (item) =>
+          postIds.includes(String(item.id)) ||
+          musicIds.includes(String(item.musicMeta?.musicId))
+      )
+      .slice(0, input.resultsPerPage || items.length);
+  }
+
+  const profiles = (input.profiles || []).map((p) => p.toLowerCase());
+  const tags = (input.hashtags || []).map((t) => t.toLowerCase());
+  const words = (input.searchQueries || [])
+    .join(" ")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  let selected = items.filter((item) => {
+    const author = (item.authorMeta?.name || "").toLowerCase();
+    const text = `${item.text} ${author}`.toLowerCase();
+
+    return (
+      profiles.includes(author) ||
+      item.hashtags?.some((h) => tags.includes((h.name || "").toLowerCase())) ||
+      words.some((word) => text.includes(word))
+    );
+  });
+
+  if (selected.length === 0 && fallback) selected = items;
+  return selected.slice(0, input.resultsPerPage || selected.length);
+}
+
+// Comments recorded for the videos in the input's post URLs
+function selectComments(items, input) {
+  const postIds = urlIds(input.postURLs);
+  return items
+    .filter((item) => postIds.includes(urlIds([item.videoWebUrl])[0]))
+    .slice(0, input.commentsPerPost || items.length);
+}
+
+// Create a provider that serves recorded datasets instead of calling Apify.
+// A dataset recorded for the exact cache key wins; otherwise the default
+// dataset is filtered by the actor input.
+export function createFixtureProvider({ dir, delay = 0 }) {
+  const status = {
+    provider: "fixture",
+    configured: true,
+    valid: true,
+    message: `Serving recorded datasets from ${dir}`,
+    user: null,
+  };
+
+  async function load(input, cacheKey, kind) {
+    let items = cacheKey ? await readDataset(fixtureFile(dir, cacheKey)) : null;
+
+    if (!items) {
+      const name = DEFAULT_DATASETS[kind];
+      const defaults = await readDataset(fixtureFile(dir, name));
+      if (!defaults) {
+        throw new Error(`No ${name} fixture dataset found in ${dir}`);
+      }
+      const fallback = cacheKey === "trending";
+      items =
+        kind === "comments"
+          ? selectComments(defaults, input)
+          : selectItems(defaults, input, { fallback });
+    }
+    return items;
+  }
+
+  // Runs keep no state: the id holds the start time, and a run takes
+  // `delay` ms, with its items appearing evenly over that time like a live
+  // run's. The counter keeps ids unique within a millisecond.
+  let started = 0;
+
+  const startTime = (id) => Number(String(id).split("-")[1]) || 0;
+
+  const runInfo = (id) => {
+    const startedAt = startTime(id);
+    const done = Date.now() >= startedAt + delay;
+    return {
+      id,
+      status: done ? "SUCCEEDED" : "RUNNING",
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: done ? new Date(startedAt + delay).toISOString() : null,
+    };
+  };
+
+  async function start(input, { cacheKey, kind = "videos" } = {}) {
+    await load(input, cacheKey, kind);
+    const id = `fixture-${Date.now()}-${++started}`;
+    return { id, run: runInfo(id) };
+  }
+
+  async function wait(id) {
+    const remaining = startTime(id) + delay - Date.now();
+    if (remaining > 0) {
+      await new Promise((resolve) => setTimeout(resolve, remaining));
+    }
+    return runInfo(id);
+  }
+
+  async function poll(id, { input, cacheKey, kind = "videos", offset = 0 }) {
+    const dataset = await load(input, cacheKey, kind);
+    const run = runInfo(id);
+    const done = run.status === "SUCCEEDED";
+    const visible = done
+      ? dataset.length
+      : Math.floor(
+          (dataset.length * (Date.now() - startTime(id))) / Math.max(delay, 1)
+        );
+
+    return {
+      status: run.status,
+      newItems: dataset.slice(offset, Math.max(offset, visible)),
+      done,
+      succeeded: done,
+      run,
+    };
+  }
+
+  async function items(id, { input, cacheKey, kind = "videos" }) {
+    const items = await load(input, cacheKey, kind);
+    console.log(`✅ Replayed ${items.length} items from fixtures`);
+    return items;
+  }
+
+  return {
+    name: "fixture",
+    status,
+    tokenConfigured: false,
+    tokenPreview: "Not required",
+    initialize: async () => {},
+    start,
+    wait,
+    poll,
+    items,
+  };
+}
+
+// Save a live dataset so it can be replayed later by the fixture provider
+export async function recordFixture(dir, cacheKey, items) {
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    fixtureFile(dir, cacheKey),
+    JSON.stringify(items, null, 2) + "\n"
+  );
+  console.log(`📼 Recorded ${items.length} items for: ${cacheKey}`);
+}
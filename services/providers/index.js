@@ -0,0 +1,53 @@
+// services/providers/index.js - Pick the scraper data source from configuration
+import path from "path";
+import { fileURLToPath } from "url";
+import { createApifyProvider } from "./apify.js";
+import { createFixtureProvider } from "./fixture.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURE_DIR = path.join(__dirname, "..", "..", "fixtures");
+
+// Known actors that accept the clockworks/tiktok-scraper input format.
+// APIFY_ACTOR overrides the actor for any of them.
+const APIFY_ACTORS = {
+  apify: "clockworks/tiktok-scraper",
+  "apify-free": "clockworks/free-tiktok-scraper",
+};
+
+// Comments come from a separate actor taking { postURLs, commentsPerPost }.
+// APIFY_COMMENTS_ACTOR overrides it.
+const APIFY_COMMENTS_ACTOR = "clockworks/tiktok-comments-scraper";
+
+// SCRAPER_PROVIDER selects the data source: "apify" (default), "apify-free"
+// or "fixture" for offline development against recorded datasets.
+// Providers produce two kinds of dataset, picked per run with { kind }:
+// "videos" (default) and "comments".
+export function createProvider(env = process.env) {
+  const name = (env.SCRAPER_PROVIDER || "apify").toLowerCase();
+
+  if (name === "fixture") {
+    return createFixtureProvider({
+      dir: env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR,
+      delay: parseInt(env.FIXTURE_DELAY_MS, 10) || 0,
+    });
+  }
+
+  if (!APIFY_ACTORS[name]) {
+    throw new Error(
+      `Unknown SCRAPER_PROVIDER "${name}". Use one of: ${[
+        ...Object.keys(APIFY_ACTORS),
+        "fixture",
+      ].join(", ")}`
+    );
+  }
+
+  return createApifyProvider({
+    name,
+    token: env.APIFY_API_KEY,
+    actors: {
+      videos: env.APIFY_ACTOR || APIFY_ACTORS[name],
+      comments: env.APIFY_COMMENTS_ACTOR || APIFY_COMMENTS_ACTOR,
+    },
+  });
+}
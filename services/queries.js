@@ -0,0 +1,282 @@
+// services/queries.js - Actor inputs and response payloads for each list type
+import { runScraper } from "./scraper.js";
+import { mapVideos, mapProfile, mapSound } from "./mappers.js";
+import { parsePageParams, fetchPage } from "./pagination.js";
+import { summarizeUsers, summarizeHashtags } from "./search.js";
+import { parseListOptions, applyListOptions } from "./filters.js";
+import {
+  parseSearchQuery,
+  includeTerms,
+  excludeTerms,
+  filterItems,
+  matchedTerms,
+} from "./query-language.js";
+import { AppError } from "./errors.js";
+import {
+  parseUsername,
+  parseHashtag,
+  parseQuery,
+  parseSoundId,
+} from "./validation.js";
+
+export const LIST_TYPES = ["trending", "hashtag", "profile", "search", "sound"];
+
+// Turn a list type and its params into the actor input and cache settings.
+// Usernames, hashtags and queries are normalized first (see validation.js),
+// so differently typed names share a cache key; `params` holds the
+// canonical values. Throws a VALIDATION error when the params are unusable.
+export function buildQuery(type, params = {}) {
+  switch (type) {
+    case "trending":
+      return {
+        input: {
+          hashtags: ["foryou", "viral", "trending"],
+          proxyCountryCode: "None",
+          resultsPerPage: 15,
+          shouldDownloadVideos: false,
+          shouldDownloadCovers: false,
+        },
+        cacheKey: "trending",
+        route: "trending",
+        params: {},
+      };
+
+    case "hashtag": {
+      const tag = parseHashtag(params.tag);
+
+      return {
+        input: {
+          hashtags: [tag],
+          proxyCountryCode: "None",
+          resultsPerPage: 15,
+          shouldDownloadVideos: false,
+        },
+        cacheKey: `hashtag_${tag}`,
+        route: "hashtag",
+        params: { tag },
+      };
+    }
+
+    case "profile": {
+      const username = parseUsername(params.username);
+
+      return {
+        input: {
+          profiles: [username],
+          proxyCountryCode: "None",
+          resultsPerPage: 20,
+          shouldDownloadVideos: false,
+        },
+        cacheKey: `profile_${username}`,
+        route: "profile",
+        username,
+        params: { username },
+      };
+    }
+
+    case "sound": {
+      const id = parseSoundId(params.id);
+
+      return {
+        input: {
+          // TikTok resolves music pages by the id at the end of the URL
+          musics: [`https://www.tiktok.com/music/sound-${id}`],
+          proxyCountryCode: "None",
+          resultsPerPage: 15,
+          shouldDownloadVideos: false,
+        },
+        cacheKey: `sound_${id}`,
+        route: "sound",
+        params: { id },
+      };
+    }
+
+    case "search": {
+      const query = parseQuery(params.q);
+      const parsed = parseSearchQuery(query);
+      const { hashtags, profiles, keywords } = parsed;
+      const sources = hashtags.length + profiles.length + keywords.length;
+      if (sources === 0) {
+        throw new AppError(
+          "VALIDATION",
+          "Add at least one #hashtag, @profile or keyword to search for",
+          { details: { fields: { q: "No #hashtag, @profile or keyword" } } }
+        );
+      }
+
+      // One actor run covers every source in the query
+      const input = {
+        resultsPerPage: 15,
+        shouldDownloadVideos: false,
+        proxyCountryCode: "None",
+      };
+      if (hashtags.length) input.hashtags = hashtags;
+      if (profiles.length) input.profiles = profiles;
+      if (keywords.length) {
+        // Plain text goes to TikTok's own video search
+        input.searchQueries = keywords;
+        input.searchSection = "/video";
+      }
+
+      let searchType = "compound";
+      let cacheKey;
+      let username = null;
+
+      if (sources === 1 && hashtags.length) {
+        searchType = "hashtag";
+        cacheKey = `search_hashtag_${hashtags[0]}`;
+      } else if (sources === 1 && profiles.length) {
+        searchType = "profile";
+        username = profiles[0];
+        cacheKey = `search_profile_${username}`;
+      } else if (sources === 1) {
+        searchType = "keyword";
+        cacheKey = `search_keyword_${keywords[0].toLowerCase()}`;
+      } else {
+        // Exclusions only filter the results, so they don't split the cache
+        cacheKey = `search_multi_${includeTerms(parsed)
+          .map((term) => term.toLowerCase())
+          .sort()
+          .join("_")}`;
+      }
+
+      return {
+        input,
+        cacheKey,
+        route: "search",
+        username,
+        searchType,
+        parsed,
+        params: { q: query },
+      };
+    }
+
+    default:
+      throw new AppError(
+        "VALIDATION",
+        `Unknown list type "${type}". Use one of: ${LIST_TYPES.join(", ")}`
+      );
+  }
+}
+
+// Sound metadata from the first video that carries it. Filters don't apply:
+// the sound is the same whichever videos are shown.
+function soundDetails(items, id) {
+  const item = items.find(
+    (entry) => String(entry.musicMeta?.musicId) === String(id)
+  );
+  return (
+    mapSound(item?.musicMeta) || {
+      id,
+      title: "Unknown sound",
+      author: null,
+      original: false,
+      cover: null,
+      playUrl: null,
+    }
+  );
+}
+
+// How the sound is used across the scraped videos (not just this page)
+function soundUsage(items) {
+  const videos = mapVideos(items);
+  return {
+    videos: videos.length,
+    creators: new Set(videos.map((video) => video.creator.username)).size,
+    plays: videos.reduce((sum, video) => sum + video.plays, 0),
+    likes: videos.reduce((sum, video) => sum + video.likes, 0),
+  };
+}
+
+// Fetch (or read from cache) one page of a list and shape it the way the
+// matching /api route responds. `page` holds the cursor/limit and the
+// sort/filter query params (see filters.js). `maxLimit` raises the page size
+// cap for exports.
+export async function loadList(
+  type,
+  params = {},
+  page = {},
+  { maxLimit } = {}
+) {
+  const query = buildQuery(type, params);
+  const { input, cacheKey, route, username, searchType, parsed } = query;
+  const listOptions = parseListOptions(page);
+
+  if (type === "trending") {
+    const items = await runScraper(input, { cacheKey, route });
+    const videos = mapVideos(applyListOptions(items, listOptions));
+    return { data: videos, count: videos.length };
+  }
+
+  // Sorting and filtering happen on the whole dataset, before paging
+  const select = (all) =>
+    applyListOptions(parsed ? filterItems(all, parsed) : all, listOptions);
+
+  const { offset, limit } = parsePageParams(
+    page,
+    input.resultsPerPage,
+    maxLimit
+  );
+  const { dataset, items, pageItems, nextCursor } = await fetchPage(input, {
+    cacheKey,
+    route,
+    username,
+    offset,
+    limit,
+    select,
+  });
+  let videos = mapVideos(pageItems);
+
+  if (type === "profile") {
+    return {
+      // Filters may leave no videos, but the profile is still known
+      profile: mapProfile(dataset[0].authorMeta),
+      videos: videos,
+      videoCount: videos.length,
+      nextCursor,
+    };
+  }
+
+  if (type === "hashtag") {
+    return {
+      data: videos,
+      hashtag: query.params.tag,
+      count: videos.length,
+      nextCursor,
+    };
+  }
+
+  if (type === "sound") {
+    return {
+      data: videos,
+      sound: soundDetails(dataset, query.params.id),
+      usage: soundUsage(dataset),
+      count: videos.length,
+      nextCursor,
+    };
+  }
+
+  // Compound queries credit each video to the terms that brought it in
+  const include = includeTerms(parsed);
+  if (include.length > 1) {
+    const itemsById = new Map(pageItems.map((item) => [item.id, item]));
+    videos = videos.map((video) => ({
+      ...video,
+      matchedTerms: matchedTerms(itemsById.get(video.id), parsed),
+    }));
+  }
+
+  // Search results are grouped: the video page plus the creators and
+  // hashtags found across the whole dataset
+  const { q } = query.params;
+  return {
+    data: videos,
+    query: q,
+    searchType,
+    terms: { include, exclude: excludeTerms(parsed) },
+    users: summarizeUsers(items, q),
+    hashtags: summarizeHashtags(items, q),
+    count: videos.length,
+    nextCursor,
+  };
+}
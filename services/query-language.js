@@ -0,0 +1,131 @@
+// services/query-language.js - Parse compound search queries
+//
+//   #recipe #vegan -#meat @chefjohn "one pot" -spicy
+//
+// #tag and @user add a hashtag or profile source, plain words form one
+// keyword search and "quoted phrases" are searched separately. A leading
+// "-" turns any term into an exclusion that filters the merged results.
+
+const TOKEN = /(-?)(?:"([^"]*)"|(\S+))/g;
+
+export function parseSearchQuery(query) {
+  const parsed = {
+    hashtags: [],
+    profiles: [],
+    keywords: [],
+    exclude: { hashtags: [], profiles: [], keywords: [] },
+  };
+  const words = [];
+
+  for (const match of (query || "").matchAll(TOKEN)) {
+    const negated = match[1] === "-";
+    const phrase = match[2];
+    const raw = match[3];
+
+    if (phrase !== undefined) {
+      const text = phrase.trim();
+      if (!text) continue;
+      (negated ? parsed.exclude.keywords : parsed.keywords).push(text);
+      continue;
+    }
+
+    const target = negated ? parsed.exclude : parsed;
+    if (raw.startsWith("#")) {
+      if (raw.length > 1) target.hashtags.push(raw.slice(1));
+    } else if (raw.startsWith("@")) {
+      if (raw.length > 1) target.profiles.push(raw.slice(1));
+    } else if (negated) {
+      parsed.exclude.keywords.push(raw);
+    } else {
+      words.push(raw);
+    }
+  }
+
+  if (words.length > 0) parsed.keywords.unshift(words.join(" "));
+
+  const unique = (list) => [...new Set(list)];
+  parsed.hashtags = unique(parsed.hashtags);
+  parsed.profiles = unique(parsed.profiles);
+  parsed.keywords = unique(parsed.keywords);
+
+  return parsed;
+}
+
+// Display labels for the sources a query fetches from, e.g. ["#vegan", "@chefjohn"]
+export function includeTerms(parsed) {
+  return [
+    ...parsed.hashtags.map((tag) => `#${tag}`),
+    ...parsed.profiles.map((name) => `@${name}`),
+    ...parsed.keywords.map((keyword) => `"${keyword}"`),
+  ];
+}
+
+export function excludeTerms(parsed) {
+  return [
+    ...parsed.exclude.hashtags.map((tag) => `-#${tag}`),
+    ...parsed.exclude.profiles.map((name) => `-@${name}`),
+    ...parsed.exclude.keywords.map((keyword) => `-"${keyword}"`),
+  ];
+}
+
+const lower = (value) => (value || "").toLowerCase();
+
+const itemTags = (item) =>
+  (item.hashtags || []).map((h) => lower(h.name)).filter(Boolean);
+
+const itemText = (item) =>
+  `${lower(item.text)} ${itemTags(item).join(" ")}`;
+
+const textMatches = (item, keyword) =>
+  lower(keyword)
+    .split(/\s+/)
+    .some((word) => itemText(item).includes(word));
+
+// Drop duplicate videos (the same video can come from several sources)
+// and anything matching an exclusion term
+export function filterItems(items, parsed) {
+  const seen = new Set();
+  const { exclude } = parsed;
+  const excludedTags = exclude.hashtags.map(lower);
+  const excludedProfiles = exclude.profiles.map(lower);
+
+  return items.filter((item) => {
+    if (!item?.id || seen.has(item.id)) return false;
+    seen.add(item.id);
+
+    if (itemTags(item).some((tag) => excludedTags.includes(tag))) {
+      return false;
+    }
+    if (excludedProfiles.includes(lower(item.authorMeta?.name))) {
+      return false;
+    }
+    return !exclude.keywords.some((keyword) =>
+      itemText(item).includes(lower(keyword))
+    );
+  });
+}
+
+// Which include terms a scraped item satisfies. Keyword results that don't
+// mention the words literally still came from the keyword search, so they
+// are credited to it when nothing else matches.
+export function matchedTerms(item, parsed) {
+  const tags = itemTags(item);
+  const author = lower(item.authorMeta?.name);
+
+  const matched = [
+    ...parsed.hashtags
+      .filter((tag) => tags.includes(lower(tag)))
+      .map((tag) => `#${tag}`),
+    ...parsed.profiles
+      .filter((name) => lower(name) === author)
+      .map((name) => `@${name}`),
+    ...parsed.keywords
+      .filter((keyword) => textMatches(item, keyword))
+      .map((keyword) => `"${keyword}"`),
+  ];
+
+  if (matched.length === 0) {
+    return parsed.keywords.map((keyword) => `"${keyword}"`);
+  }
+  return matched;
+}
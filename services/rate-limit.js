@@ -0,0 +1,175 @@
+// services/rate-limit.js - Per-client limits on API requests and cache misses
+//
+// Every API request counts against RATE_LIMIT_REQUESTS per
+// RATE_LIMIT_WINDOW_S. Any request that starts a new actor run (a cache
+// miss), whether from the API, a page render or a feed, also counts against
+// the much smaller RATE_LIMIT_MISSES per RATE_LIMIT_MISS_WINDOW_S. Clients are identified by IP address, or by an
+// X-API-Key header listed in RATE_LIMIT_API_KEYS, which gets
+// RATE_LIMIT_KEY_MULTIPLIER times the allowance. A limit of 0 disables it.
+//
+// Counters live in memory, so each server instance limits separately.
+import { AsyncLocalStorage } from "async_hooks";
+import { AppError, sendError } from "./errors.js";
+
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const REQUEST_LIMIT = int(process.env.RATE_LIMIT_REQUESTS, 120);
+const REQUEST_WINDOW = int(process.env.RATE_LIMIT_WINDOW_S, 60) * 1000;
+const MISS_LIMIT = int(process.env.RATE_LIMIT_MISSES, 10);
+const MISS_WINDOW = int(process.env.RATE_LIMIT_MISS_WINDOW_S, 600) * 1000;
+const KEY_MULTIPLIER = int(process.env.RATE_LIMIT_KEY_MULTIPLIER, 10) || 1;
+const API_KEYS = new Set(
+  (process.env.RATE_LIMIT_API_KEYS || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean)
+);
+
+// Counters are swept for expired windows once there are this many
+const SWEEP_AT = 10000;
+
+// The client of the request being handled, so scraper guards can charge
+// misses to it
+const requestContext = new AsyncLocalStorage();
+
+// Fixed-window counters per client
+function createWindow(limit, windowMs) {
+  const counters = new Map();
+
+  function sweep(now) {
+    counters.forEach((counter, client) => {
+      if (counter.resetAt <= now) counters.delete(client);
+    });
+  }
+
+  return {
+    // Count one hit for the client. Returns whether it was allowed along
+    // with the numbers for the RateLimit-* headers.
+    take(client, multiplier = 1) {
+      const now = Date.now();
+      const max = limit * multiplier;
+      if (counters.size >= SWEEP_AT) sweep(now);
+
+      let counter = counters.get(client);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(client, counter);
+      }
+
+      const allowed = counter.count < max;
+      if (allowed) counter.count++;
+      return {
+        allowed,
+        limit: max,
+        remaining: max - counter.count,
+        reset: Math.ceil((counter.resetAt - now) / 1000),
+      };
+    },
+
+    policy: (multiplier = 1) => `${limit * multiplier};w=${windowMs / 1000}`,
+  };
+}
+
+const requests = createWindow(REQUEST_LIMIT, REQUEST_WINDOW);
+const misses = createWindow(MISS_LIMIT, MISS_WINDOW);
+// Admin login attempts per IP, so the secret can't be guessed quickly
+const logins = createWindow(10, 15 * 60 * 1000);
+
+function identify(req) {
+  const key = req.get("X-API-Key");
+  if (!key) return { id: `ip:${req.ip}`, multiplier: 1 };
+
+  if (!API_KEYS.has(key)) {
+    throw new AppError("AUTH_INVALID", "Invalid API key");
+  }
+  return { id: `key:${key}`, multiplier: KEY_MULTIPLIER };
+}
+
+function setHeaders(res, result, policy) {
+  res.set({
+    "RateLimit-Policy": policy,
+    "RateLimit-Limit": String(result.limit),
+    "RateLimit-Remaining": String(result.remaining),
+    "RateLimit-Reset": String(result.reset),
+  });
+  if (!result.allowed) res.set("Retry-After", String(result.reset));
+}
+
+const policies = (multiplier) =>
+  [
+    REQUEST_LIMIT && requests.policy(multiplier),
+    MISS_LIMIT && misses.policy(multiplier),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// App-level middleware, ahead of every route that can scrape: remembers
+// the client for the rest of the request so its cache misses are limited
+export function trackClient() {
+  return (req, res, next) => {
+    let client;
+    try {
+      client = identify(req);
+    } catch (error) {
+      return sendError(res, error);
+    }
+    requestContext.run({ client, res }, next);
+  };
+}
+
+// Express middleware for the API router
+export function rateLimit() {
+  return (req, res, next) => {
+    let client = requestContext.getStore()?.client;
+    try {
+      client ||= identify(req);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    if (REQUEST_LIMIT) {
+      const result = requests.take(client.id, client.multiplier);
+      setHeaders(res, result, policies(client.multiplier));
+
+      if (!result.allowed) {
+        return sendError(
+          res,
+          new AppError(
+            "RATE_LIMITED",
+            `Too many requests. Try again in ${result.reset} seconds.`,
+            { retryAfter: result.reset }
+          )
+        );
+      }
+    }
+
+    requestContext.run({ client, res }, next);
+  };
+}
+
+// Fetch guard for the scraper: charge a new actor run to the client whose
+// request caused it. Runs outside a request (scheduled refreshes) have no
+// client and aren't limited.
+export function limitMisses() {
+  const context = requestContext.getStore();
+  if (!context || !MISS_LIMIT) return;
+
+  const { client, res } = context;
+  const result = misses.take(client.id, client.multiplier);
+  if (result.allowed) return;
+
+  if (!res.headersSent) setHeaders(res, result, policies(client.multiplier));
+  throw new AppError(
+    "RATE_LIMITED",
+    `Too many new searches. Try again in ${result.reset} seconds, ` +
+      "or browse results that are already cached.",
+    { retryAfter: result.reset }
+  );
+}
+
+// Count an admin login attempt; `allowed` is false once an IP has used up
+// its attempts and `reset` says for how many seconds
+export const limitLogins = (req) => logins.take(`ip:${req.ip}`);
@@ -0,0 +1,266 @@
+// services/scheduler.js - Periodic refresh of trending, profiles and hashtags
+import { randomUUID } from "crypto";
+import { cache, runScraper } from "./scraper.js";
+import { buildQuery } from "./queries.js";
+import { parseSchedule } from "./cron.js";
+import { createJsonStore } from "./store.js";
+import { budgetStatus } from "./usage.js";
+import { AppError } from "./errors.js";
+
+// How often due schedules are looked for
+const TICK_INTERVAL =
+  parseInt(process.env.SCHEDULER_TICK_MS, 10) || 30 * 1000;
+// Pause between two scheduled runs so they don't hit the actor at once
+const STAGGER =
+  parseInt(process.env.SCHEDULER_STAGGER_MS, 10) || 10 * 1000;
+// Actor runs scheduled refreshes may start per day (0 = no limit)
+const DAILY_BUDGET = parseInt(process.env.SCHEDULER_DAILY_RUNS ?? "48", 10);
+
+export const SCHEDULE_TYPES = ["trending", "profile", "hashtag"];
+
+const store = createJsonStore("schedules", {
+  schedules: [],
+  budget: { day: null, runs: 0 },
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function nextRunAt(schedule, from = new Date()) {
+  const lastRun = schedule.lastRunAt ? new Date(schedule.lastRunAt) : null;
+  return parseSchedule(schedule.schedule).next(from, lastRun).toISOString();
+}
+
+// Validate a schedule definition; buildQuery checks the params the same way
+// the list routes do. Returns the canonical params.
+function validate({ type, params = {}, schedule }) {
+  if (!SCHEDULE_TYPES.includes(type)) {
+    throw new AppError(
+      "VALIDATION",
+      `type must be one of: ${SCHEDULE_TYPES.join(", ")}`
+    );
+  }
+  const query = buildQuery(type, params);
+  parseSchedule(schedule);
+  return query.params;
+}
+
+const find = (data, id) => {
+  const schedule = data.schedules.find((s) => s.id === id);
+  if (!schedule) throw new AppError("NOT_FOUND", `Schedule "${id}" not found`);
+  return schedule;
+};
+
+// ======================
+// SCHEDULE STORE
+// ======================
+
+export async function listSchedules() {
+  const { schedules, budget } = await store.read();
+  return {
+    schedules,
+    budget: {
+      day: today(),
+      runs: budget.day === today() ? budget.runs : 0,
+      limit: DAILY_BUDGET || null,
+    },
+  };
+}
+
+// { type: "profile", params: { username: "chefjohn" }, schedule: "@every 2h" }
+export async function addSchedule({ type, params = {}, schedule } = {}) {
+  const created = {
+    id: randomUUID(),
+    type,
+    params: validate({ type, params, schedule }),
+    schedule: String(schedule).trim(),
+    paused: false,
+    createdAt: new Date().toISOString(),
+    lastRunAt: null,
+    lastResult: null,
+  };
+  created.nextRunAt = nextRunAt(created);
+
+  await store.update((data) => {
+    data.schedules.push(created);
+  });
+  return created;
+}
+
+// Change the expression or pause/resume: { schedule?, paused? }
+export async function updateSchedule(id, { schedule, paused } = {}) {
+  if (schedule !== undefined) parseSchedule(schedule);
+
+  return store.update((data) => {
+    const found = find(data, id);
+    if (schedule !== undefined) found.schedule = String(schedule).trim();
+    if (paused !== undefined) found.paused = Boolean(paused);
+    found.nextRunAt = nextRunAt(found);
+    return found;
+  });
+}
+
+export async function removeSchedule(id) {
+  return store.update((data) => {
+    const found = find(data, id);
+    data.schedules = data.schedules.filter((s) => s !== found);
+    return found;
+  });
+}
+
+// ======================
+// RUNNING
+// ======================
+
+// Count an actor run against today's budget. Returns false when the budget
+// is used up.
+async function claimBudget() {
+  return store.update((data) => {
+    if (data.budget.day !== today()) data.budget = { day: today(), runs: 0 };
+    if (DAILY_BUDGET && data.budget.runs >= DAILY_BUDGET) return false;
+    data.budget.runs++;
+    return true;
+  });
+}
+
+// Refresh one schedule's dataset now. Data that is still fresh in the
+// cache is left alone so the budget goes to sources that need it.
+async function execute(schedule) {
+  const query = buildQuery(schedule.type, schedule.params);
+  const startedAt = Date.now();
+
+  const entry = await cache.peek(query.cacheKey);
+  if (entry && startedAt - entry.timestamp < entry.ttl) {
+    return { status: "skipped", reason: "cache is fresh" };
+  }
+
+  if (budgetStatus().exceeded) {
+    return { status: "skipped", reason: "monthly budget reached" };
+  }
+
+  if (!(await claimBudget())) {
+    return { status: "skipped", reason: "daily run budget used up" };
+  }
+
+  try {
+    const items = await runScraper(query.input, {
+      cacheKey: query.cacheKey,
+      route: query.route,
+      username: query.username,
+      refresh: true,
+    });
+    return {
+      status: "succeeded",
+      items: items.length,
+      duration: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      status: "failed",
+      error: error.message,
+      duration: Date.now() - startedAt,
+    };
+  }
+}
+
+// Run a schedule and store its result. Paused schedules can still be
+// triggered by hand.
+export async function runSchedule(id) {
+  const { schedules } = await store.read();
+  const schedule = schedules.find((s) => s.id === id);
+  if (!schedule) throw new AppError("NOT_FOUND", `Schedule "${id}" not found`);
+
+  const label = `${schedule.type} ${JSON.stringify(schedule.params)}`;
+  console.log(`⏰ Running schedule ${label}`);
+  const result = await execute(schedule);
+  console.log(
+    `${result.status === "failed" ? "❌" : "✅"} Schedule ${label}: ${
+      result.status
+    }${result.reason ? ` (${result.reason})` : ""}`
+  );
+
+  return store.update((data) => {
+    // The schedule may have been removed while it ran
+    const current = data.schedules.find((s) => s.id === id);
+    if (!current) return { ...schedule, lastResult: result };
+
+    current.lastRunAt = new Date().toISOString();
+    current.lastResult = result;
+    current.nextRunAt = nextRunAt(current);
+    return current;
+  });
+}
+
+// ======================
+// LOOP
+// ======================
+
+// Ticks look for due schedules and run them one at a time, STAGGER apart.
+// A tick that finds the previous one still running does nothing.
+export function createScheduler({
+  tickInterval = TICK_INTERVAL,
+  stagger = STAGGER,
+} = {}) {
+  let timer = null;
+  let ticking = false;
+  let stopped = false;
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      const { schedules } = await store.read();
+      const now = new Date().toISOString();
+      const due = schedules
+        .filter((s) => !s.paused && s.nextRunAt && s.nextRunAt <= now)
+        .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+
+      for (const [index, schedule] of due.entries()) {
+        if (stopped) break;
+        if (index > 0) {
+          await new Promise((resolve) => setTimeout(resolve, stagger));
+        }
+        await runSchedule(schedule.id).catch((error) =>
+          console.error(`❌ Schedule ${schedule.id} failed:`, error.message)
+        );
+      }
+    } catch (error) {
+      console.error("❌ Scheduler tick failed:", error.message);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  return {
+    get running() {
+      return timer !== null;
+    },
+
+    start() {
+      if (timer) return;
+      stopped = false;
+      console.log(
+        `⏰ Scheduler started (every ${tickInterval / 1000}s, ${
+          DAILY_BUDGET || "unlimited"
+        } runs/day)`
+      );
+      timer = setInterval(tick, tickInterval);
+      tick();
+    },
+
+    // Stop ticking; a run in progress finishes first
+    async stop() {
+      stopped = true;
+      clearInterval(timer);
+      timer = null;
+      while (ticking) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+    },
+
+    tick,
+  };
+}
+
+// Shared by the web server (SCHEDULER_ENABLED) and worker.js
+export const scheduler = createScheduler();
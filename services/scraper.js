@@ -0,0 +1,469 @@
+// services/scraper.js - Cached scraper runs on top of the configured provider
+import dotenv from "dotenv";
+import { EventEmitter } from "events";
+import { createProvider } from "./providers/index.js";
+import { recordFixture } from "./providers/fixture.js";
+import { createCache } from "./cache/index.js";
+import { createLimiter } from "./limiter.js";
+import { AppError } from "./errors.js";
+
+dotenv.config();
+
+// ======================
+// DATA SOURCE SETUP
+// ======================
+
+export const provider = createProvider();
+
+// Initialize on startup
+const providerReady = provider.initialize();
+
+// Set SCRAPER_RECORD_DIR to save every live dataset for offline replay
+const RECORD_DIR = process.env.SCRAPER_RECORD_DIR;
+
+// Emits "fetched" with { cacheKey, route, input, items, run, duration }
+// whenever the provider returns a new dataset (cache hits don't emit),
+// "failed" with { cacheKey, route, input, error, run, duration } when a run
+// fails, and "lookup" with { cacheKey, route, state } for every cache lookup
+// (state is "fresh", "stale" or "miss"). Listeners record history and the
+// like without slowing the request down. `polled` is true on "fetched" and
+// "failed" for runs a job poll saw finish, which every instance polling the
+// run reports.
+export const scraperEvents = new EventEmitter();
+
+// Called with { cacheKey, route, input } before a new provider run starts
+// (joining a run in flight is free). A guard throws to refuse the run, e.g.
+// when the client asking for it is over its limit.
+const fetchGuards = [];
+
+export function addFetchGuard(guard) {
+  fetchGuards.push(guard);
+}
+
+// ======================
+// CACHE
+// ======================
+
+export const cache = createCache();
+
+// ======================
+// RUN COALESCING AND CONCURRENCY
+// ======================
+
+// Provider runs in progress by cache key, shared by every caller that needs
+// the same dataset: blocking calls wait for `done`, scrape jobs poll the
+// provider by `id` (null while the run waits for a free slot).
+//   { id, queued, started, done, error }
+const runs = new Map();
+let coalesced = 0;
+
+// The error of the last failed run per cache key, kept for a while so jobs
+// that were waiting on the run can report it
+const failures = new Map();
+const FAILURE_TTL = 10 * 60 * 1000;
+
+// At most SCRAPER_MAX_CONCURRENT_RUNS actor runs at once; the rest queue.
+// A run holds its slot until it has finished, whoever is waiting on it.
+const runLimiter = createLimiter(
+  parseInt(process.env.SCRAPER_MAX_CONCURRENT_RUNS, 10) || 2
+);
+
+export function getScraperStats() {
+  return {
+    inFlight: runs.size,
+    coalesced,
+    ...runLimiter.stats(),
+  };
+}
+
+// ======================
+// SCRAPER WITH BETTER ERROR HANDLING
+// ======================
+
+// Turn a provider failure into an AppError with a code the client can act on
+function categorize(error) {
+  if (error instanceof AppError) return error;
+
+  const status = error.statusCode || error.response?.status;
+  const message = (error.message || "").toLowerCase();
+
+  if (
+    status === 401 ||
+    status === 403 ||
+    message.includes("invalid token") ||
+    message.includes("authentication") ||
+    message.includes("unauthorized")
+  ) {
+    return new AppError(
+      "UPSTREAM_AUTH",
+      "Invalid Apify API token. Check the APIFY_API_KEY configuration."
+    );
+  }
+
+  if (status === 429 || message.includes("rate limit")) {
+    return new AppError(
+      "UPSTREAM_RATE_LIMITED",
+      "API rate limit exceeded. Please try again in a few minutes."
+    );
+  }
+
+  if (
+    message.includes("timed-out") ||
+    error.code === "ETIMEDOUT" ||
+    error.code === "ECONNABORTED"
+  ) {
+    return new AppError(
+      "UPSTREAM_TIMEOUT",
+      `The data source timed out: ${error.message}`
+    );
+  }
+
+  return new AppError(
+    "UPSTREAM_ERROR",
+    `Failed to fetch data: ${error.message}`
+  );
+}
+
+async function requireProvider() {
+  await providerReady;
+
+  if (!provider.status.valid) {
+    throw new AppError(
+      "UPSTREAM_AUTH",
+      `API configuration error: ${provider.status.message}`
+    );
+  }
+}
+
+// Check a finished run's dataset, then record and cache it. Throws for
+// private accounts and empty results.
+async function acceptDataset(
+  items,
+  { input, cacheKey, route, username, kind, run, duration, polled = false }
+) {
+  console.log(`✅ Received ${items.length} items from ${provider.name}`);
+
+  // Private profiles come back with author metadata but no videos
+  if (
+    username &&
+    items.length > 0 &&
+    items.every((item) => item.authorMeta?.privateAccount && !item.id)
+  ) {
+    throw new AppError("PRIVATE_ACCOUNT", `@${username} is a private account.`);
+  }
+
+  // A video without comments is a valid, empty answer
+  if (items.length === 0 && kind !== "comments") {
+    if (username) {
+      throw new AppError(
+        "NOT_FOUND",
+        `User @${username} not found or has no public videos.`
+      );
+    }
+    throw new AppError(
+      "NO_RESULTS",
+      "No content found for this search. Try a different query."
+    );
+  }
+
+  if (RECORD_DIR && cacheKey && provider.name !== "fixture") {
+    recordFixture(RECORD_DIR, cacheKey, items).catch((error) =>
+      console.error("❌ Failed to record fixture:", error.message)
+    );
+  }
+
+  // Cache successful results. The run has been paid for, so a cache that
+  // can't be written doesn't cost the caller the dataset.
+  if (cacheKey) {
+    await cache
+      .set(cacheKey, items, route)
+      .catch((error) =>
+        console.error(`❌ Failed to cache ${cacheKey}:`, error.message)
+      );
+  }
+
+  scraperEvents.emit("fetched", {
+    cacheKey,
+    route,
+    input,
+    items,
+    run,
+    duration,
+    polled,
+  });
+  return items;
+}
+
+// Start a provider run in a limiter slot and wait for it to finish. The
+// returned run's `done` resolves with the checked and cached dataset, or
+// rejects with a categorized error. Runs with a cache key are registered
+// so others can join them.
+function startRun(input, { cacheKey, route, username, kind }) {
+  const { active, maxConcurrent } = runLimiter.stats();
+  let markStarted;
+  const run = {
+    id: null,
+    queued: active >= maxConcurrent,
+    started: new Promise((resolve) => (markStarted = resolve)),
+    done: null,
+    error: null,
+  };
+
+  // Runs that come back empty still cost credits, so failures report the
+  // run and its duration too
+  let details = null;
+  let startedAt = Date.now();
+
+  run.done = runLimiter
+    .run(async () => {
+      // Time the run itself, not the wait for a free slot
+      startedAt = Date.now();
+      run.queued = false;
+      await requireProvider();
+
+      console.log(
+        `🔄 Fetching from ${provider.name} for: ${cacheKey || "unknown"}`
+      );
+      const handle = await provider.start(input, { cacheKey, kind });
+      run.id = handle.id;
+      details = handle.run;
+      markStarted();
+
+      details = await provider.wait(handle.id);
+      if (details.status !== "SUCCEEDED") {
+        throw new Error(`Actor run ${String(details.status).toLowerCase()}`);
+      }
+      return provider.items(handle.id, { input, cacheKey, kind });
+    })
+    .then((items) =>
+      acceptDataset(items || [], {
+        input,
+        cacheKey,
+        route,
+        username,
+        kind,
+        run: details,
+        duration: Date.now() - startedAt,
+      })
+    )
+    .catch((error) => {
+      console.error("❌ Scraper error:", error.message);
+      scraperEvents.emit("failed", {
+        cacheKey,
+        route,
+        input,
+        error,
+        run: details,
+        duration: Date.now() - startedAt,
+      });
+
+      run.error = categorize(error);
+      if (cacheKey) {
+        const failure = { error: run.error, at: Date.now() };
+        failures.set(cacheKey, failure);
+        setTimeout(() => {
+          if (failures.get(cacheKey) === failure) failures.delete(cacheKey);
+        }, FAILURE_TTL).unref();
+      }
+      throw run.error;
+    })
+    .finally(() => {
+      markStarted();
+      if (runs.get(cacheKey) === run) runs.delete(cacheKey);
+    });
+
+  // Runs started for scrape jobs may have nobody waiting on `done`
+  run.done.catch(() => {});
+
+  if (cacheKey) {
+    failures.delete(cacheKey);
+    runs.set(cacheKey, run);
+  }
+  return run;
+}
+
+// The run in progress for this key, or a new one that others can join.
+// Throws when a fetch guard refuses the new run.
+function sharedRun(input, options) {
+  const { cacheKey, route } = options;
+
+  if (cacheKey && runs.has(cacheKey)) {
+    coalesced++;
+    console.log(`🔗 Joining in-flight run for: ${cacheKey}`);
+    return runs.get(cacheKey);
+  }
+
+  // Guards run synchronously so a refused run never becomes joinable
+  fetchGuards.forEach((guard) => guard({ cacheKey, route, input }));
+  return startRun(input, options);
+}
+
+function fetchShared(input, options) {
+  try {
+    return sharedRun(input, options).done;
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+
+// Refresh a stale key without making the caller wait for it
+function revalidate(input, options) {
+  const { cacheKey } = options;
+  if (runs.has(cacheKey)) return;
+
+  console.log(`♻️ Serving stale data, refreshing in background: ${cacheKey}`);
+
+  fetchShared(input, options).catch((error) =>
+    console.error(`❌ Background refresh failed for ${cacheKey}:`, error.message)
+  );
+}
+
+// Options:
+//   cacheKey - key for the cached dataset (null disables caching)
+//   route    - route name used to pick the cache TTL
+//   username - profile being fetched, for friendlier not-found errors
+//   kind     - "videos" (default) or "comments", the dataset the provider
+//              should produce (see providers/index.js)
+//   refresh  - skip the cache lookup and fetch a new dataset (still joins
+//              a run already in flight), e.g. for scheduled refreshes
+export async function runScraper(
+  input,
+  {
+    cacheKey = null,
+    route = null,
+    username = null,
+    kind = "videos",
+    refresh = false,
+  } = {}
+) {
+  const options = { cacheKey, route, username, kind };
+
+  if (cacheKey && !refresh) {
+    const { state, entry } = await cache.lookup(cacheKey);
+    scraperEvents.emit("lookup", { cacheKey, route, state });
+
+    if (state === "fresh") {
+      console.log(`✅ Using cached data for: ${cacheKey}`);
+      return entry.data;
+    }
+
+    if (state === "stale") {
+      revalidate(input, options);
+      return entry.data;
+    }
+  }
+
+  return fetchShared(input, options);
+}
+
+// ======================
+// DETACHED RUNS
+// ======================
+
+// Start a run without waiting for it, for a scrape job, or join the one in
+// progress for the same dataset. Resolves with { items } when the dataset
+// is cached, otherwise with { runId } to poll with pollScraper. The id is
+// null while the run waits for a free slot; findRun has it once it starts.
+// Options are the same as runScraper's.
+export async function startScraper(
+  input,
+  { cacheKey = null, route = null, username = null, kind = "videos" } = {}
+) {
+  const options = { cacheKey, route, username, kind };
+
+  if (cacheKey) {
+    const { state, entry } = await cache.lookup(cacheKey);
+    scraperEvents.emit("lookup", { cacheKey, route, state });
+
+    if (state === "stale") revalidate(input, options);
+    if (state !== "miss") return { items: entry.data };
+  }
+
+  const run = sharedRun(input, options);
+  // Starting takes one provider call; waiting for a slot could take minutes
+  if (!run.queued) await run.started;
+  if (run.error) throw run.error;
+  return { runId: run.id };
+}
+
+// This instance's run for a key: { runId } while it is in progress (runId
+// is null while it queues), null when there is none. Throws the error of
+// the key's last run when it failed after `since` (ms).
+export function findRun(cacheKey, since = 0) {
+  const run = runs.get(cacheKey);
+  if (run) return { runId: run.id };
+
+  const failure = failures.get(cacheKey);
+  if (failure && failure.at >= since) throw failure.error;
+  return null;
+}
+
+// Check on a run from startScraper. Everything comes from the provider, so
+// any instance can poll any run. Resolves with { status, done, newItems }:
+// the items added after `offset`. Once the run has succeeded its dataset is
+// checked and cached like runScraper's, so lists can be built from it.
+export async function pollScraper(
+  runId,
+  input,
+  {
+    cacheKey = null,
+    route = null,
+    username = null,
+    kind = "videos",
+    offset = 0,
+  } = {}
+) {
+  await requireProvider();
+
+  let update;
+  try {
+    update = await provider.poll(runId, { input, cacheKey, kind, offset });
+  } catch (error) {
+    console.error("❌ Scraper error:", error.message);
+    throw categorize(error);
+  }
+
+  const { status, done, succeeded, newItems, run } = update;
+  if (!done) return { status, done, newItems };
+
+  // A run this instance started is checked and cached by startRun
+  const own = cacheKey ? runs.get(cacheKey) : null;
+  if (own?.id === runId) {
+    await own.done;
+    return { status, done, newItems };
+  }
+
+  const duration =
+    run?.startedAt && run?.finishedAt
+      ? new Date(run.finishedAt) - new Date(run.startedAt)
+      : 0;
+
+  try {
+    if (!succeeded) throw new Error(`Actor run ${status.toLowerCase()}`);
+
+    const items = await provider.items(runId, { input, cacheKey, kind });
+    await acceptDataset(items, {
+      input,
+      cacheKey,
+      route,
+      username,
+      kind,
+      run,
+      duration,
+      polled: true,
+    });
+    return { status, done, newItems };
+  } catch (error) {
+    console.error("❌ Scraper error:", error.message);
+    scraperEvents.emit("failed", {
+      cacheKey,
+      route,
+      input,
+      error,
+      run,
+      duration,
+      polled: true,
+    });
+    throw categorize(error);
+  }
+}
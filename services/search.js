@@ -0,0 +1,94 @@
+// services/search.js - Typed search results derived from a scraped dataset
+
+const MAX_USERS = 8;
+const MAX_HASHTAGS = 12;
+
+// "#dance @khaby" -> ["dance", "khaby"]
+const queryWords = (query) =>
+  query
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => word.replace(/^[#@]+/, ""))
+    .filter(Boolean);
+
+const matchesAny = (text, words) => {
+  const haystack = (text || "").toLowerCase();
+  return words.some((word) => haystack.includes(word));
+};
+
+// Creators appearing in the results. Those whose name or bio matches the
+// query come first, then the rest by total plays.
+export function summarizeUsers(items, query) {
+  const words = queryWords(query);
+  const users = new Map();
+
+  items.forEach((item) => {
+    const author = item.authorMeta;
+    if (!author?.name) return;
+
+    if (!users.has(author.name)) {
+      users.set(author.name, {
+        username: author.name,
+        nickname: author.nickName || author.name,
+        avatar:
+          author.avatar ||
+          "https://via.placeholder.com/150/1a1a1a/ffffff?text=TK",
+        verified: author.verified || false,
+        followers: author.fans || author.followers || 0,
+        videoCount: 0,
+        plays: 0,
+        matched: matchesAny(
+          `${author.name} ${author.nickName || ""} ${author.signature || ""}`,
+          words
+        ),
+      });
+    }
+
+    const user = users.get(author.name);
+    user.videoCount++;
+    user.plays += item.playCount || 0;
+  });
+
+  return [...users.values()]
+    .sort((a, b) => b.matched - a.matched || b.plays - a.plays)
+    .slice(0, MAX_USERS);
+}
+
+// Hashtags used by the results. Tags matching the query come first, then
+// the rest by how many videos use them.
+export function summarizeHashtags(items, query) {
+  const words = queryWords(query);
+  const hashtags = new Map();
+
+  items.forEach((item) => {
+    const names = new Set(
+      (item.hashtags || [])
+        .map((h) => (h.name || "").toLowerCase())
+        .filter(Boolean)
+    );
+
+    names.forEach((name) => {
+      if (!hashtags.has(name)) {
+        hashtags.set(name, {
+          name,
+          videoCount: 0,
+          plays: 0,
+          matched: matchesAny(name, words),
+        });
+      }
+
+      const hashtag = hashtags.get(name);
+      hashtag.videoCount++;
+      hashtag.plays += item.playCount || 0;
+    });
+  });
+
+  return [...hashtags.values()]
+    .sort(
+      (a, b) =>
+        b.matched - a.matched ||
+        b.videoCount - a.videoCount ||
+        b.plays - a.plays
+    )
+    .slice(0, MAX_HASHTAGS);
+}
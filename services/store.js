@@ -0,0 +1,111 @@
+// services/store.js - Small JSON documents persisted under DATA_DIR
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Vercel only allows writes under the temp dir
+export const DATA_DIR =
+  process.env.DATA_DIR ||
+  (process.env.VERCEL
+    ? path.join(os.tmpdir(), "tokview-data")
+    : path.join(process.cwd(), ".data"));
+
+// How often a process waiting for another's update retries the lock, and
+// how old a lock must be before it is taken to belong to a process that
+// died holding it
+const LOCK_RETRY = 25;
+const LOCK_STALE = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// One document per name (DATA_DIR/<name>.json, where a name may include
+// subdirectories). Reads always go to disk so the web server and a separate
+// worker process see each other's writes.
+// Updates run one at a time within a process, hold a lockfile against other
+// processes sharing DATA_DIR, and replace the file atomically.
+export function createJsonStore(name, defaults) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const lockFile = `${file}.lock`;
+  let queue = Promise.resolve();
+
+  // Create the lockfile exclusively (O_EXCL), waiting while another process
+  // holds it
+  async function lock() {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockFile, "wx");
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE) {
+        console.error(`❌ Removing stale lock ${lockFile}`);
+        await fs.rm(lockFile, { force: true });
+      } else {
+        await sleep(LOCK_RETRY);
+      }
+    }
+  }
+
+  const unlock = () => fs.rm(lockFile, { force: true });
+
+  // A missing file reads as `defaults`. A corrupt one is moved aside first
+  // so the next update can't overwrite what's left of it; any other error
+  // (permissions, ...) is thrown rather than replaced with defaults.
+  async function read() {
+    let text;
+    try {
+      text = await fs.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return structuredClone(defaults);
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const aside = `${file}.corrupt-${Date.now()}`;
+      console.error(
+        `❌ ${file} is not valid JSON (${error.message}), moved to ${aside}`
+      );
+      await fs.rename(file, aside);
+      return structuredClone(defaults);
+    }
+  }
+
+  async function write(data) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data, null, 2));
+    await fs.rename(temp, file);
+  }
+
+  return {
+    file,
+    read,
+
+    // Apply `change` to the current document (mutating it) and save it.
+    // Resolves with whatever `change` returns. Other processes wait until
+    // the document is saved, so keep `change` short.
+    update(change) {
+      const run = queue.then(async () => {
+        await lock();
+        try {
+          const data = await read();
+          const result = await change(data);
+          await write(data);
+          return result;
+        } finally {
+          await unlock();
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
@@ -0,0 +1,299 @@
+// services/usage.js - Actor run costs, cache hit rates and the monthly budget
+import { createJsonStore } from "./store.js";
+import { AppError } from "./errors.js";
+
+// Spending cap per calendar month (UTC) in USD. Once reached, new cache
+// misses are refused; cached data is still served. 0 = no budget.
+const MONTHLY_BUDGET = parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || 0;
+// Price of a compute unit, for runs that don't report their own cost
+const USD_PER_CU = parseFloat(process.env.USAGE_USD_PER_CU ?? "0.4") || 0;
+// Individual runs kept for the "recent runs" list
+const MAX_RUNS = parseInt(process.env.USAGE_MAX_RUNS, 10) || 5000;
+// Queries with their own totals; the ones not looked up for the longest
+// are dropped past this many
+const MAX_QUERIES = parseInt(process.env.USAGE_MAX_QUERIES, 10) || 2000;
+
+// Lookups are counted in memory and written out at most this often
+const FLUSH_INTERVAL = 5000;
+// How often the month's spend is re-read, to see runs by other processes
+const REFRESH_INTERVAL = 60 * 1000;
+
+const store = createJsonStore("usage", {
+  runs: [],
+  days: {},
+  months: {},
+  queries: {},
+});
+
+const day = (date = new Date()) => date.toISOString().slice(0, 10);
+const month = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const emptyTotals = () => ({
+  runs: 0,
+  failed: 0,
+  items: 0,
+  computeUnits: 0,
+  costUsd: 0,
+  hits: 0,
+  staleHits: 0,
+  misses: 0,
+});
+
+const emptyQuery = (route) => ({
+  route,
+  ...emptyTotals(),
+  lastRunAt: null,
+  lastSeenAt: null,
+});
+
+// Totals for a cache key, created on first use and marked as seen
+function touchQuery(data, cacheKey, route, at) {
+  const query = (data.queries[cacheKey] ||= emptyQuery(route));
+  query.lastSeenAt = at;
+  return query;
+}
+
+function pruneQueries(data) {
+  const keys = Object.keys(data.queries);
+  if (keys.length <= MAX_QUERIES) return;
+
+  const lastSeen = (key) =>
+    data.queries[key].lastSeenAt || data.queries[key].lastRunAt || "";
+  keys
+    .sort((a, b) => lastSeen(a).localeCompare(lastSeen(b)))
+    .slice(0, keys.length - MAX_QUERIES)
+    .forEach((key) => delete data.queries[key]);
+}
+
+// Spend this month as last seen in the store, for the synchronous budget
+// check in front of every new run
+let spent = { month: month(), costUsd: 0 };
+
+function remember(data) {
+  spent = { month: month(), costUsd: data.months[month()] || 0 };
+}
+
+// ======================
+// RECORDING
+// ======================
+
+// Compute units and cost of a run. Apify reports both on the run object;
+// runs without a cost are priced from their compute units.
+function runCost(run) {
+  const computeUnits = run?.stats?.computeUnits ?? null;
+  if (typeof run?.usageTotalUsd === "number") {
+    return { computeUnits, costUsd: run.usageTotalUsd, estimated: false };
+  }
+  return {
+    computeUnits,
+    costUsd: (computeUnits || 0) * USD_PER_CU,
+    estimated: computeUnits !== null,
+  };
+}
+
+function add(totals, run) {
+  totals.runs++;
+  if (run.status === "failed") totals.failed++;
+  totals.items += run.items;
+  totals.computeUnits = round(totals.computeUnits + (run.computeUnits || 0));
+  totals.costUsd = round(totals.costUsd + run.costUsd);
+}
+
+export async function recordRun({
+  cacheKey,
+  route,
+  run,
+  items = [],
+  duration = 0,
+  error = null,
+  polled = false,
+}) {
+  const now = new Date();
+  const { computeUnits, costUsd, estimated } = runCost(run);
+  const record = {
+    at: now.toISOString(),
+    runId: run?.id || null,
+    cacheKey: cacheKey || null,
+    route: route || null,
+    status: error ? "failed" : "succeeded",
+    error: error ? error.message : undefined,
+    durationMs: duration,
+    items: items.length,
+    computeUnits,
+    costUsd: round(costUsd),
+    costEstimated: estimated,
+  };
+
+  await store.update((data) => {
+    // Instances that each see a job's run finish all report it; count it once
+    if (
+      polled &&
+      record.runId &&
+      data.runs.some((run) => run.runId === record.runId)
+    ) {
+      return;
+    }
+    data.runs.unshift(record);
+    data.runs.length = Math.min(data.runs.length, MAX_RUNS);
+
+    add((data.days[day(now)] ||= emptyTotals()), record);
+    data.months[month(now)] = round(
+      (data.months[month(now)] || 0) + record.costUsd
+    );
+    if (record.cacheKey) {
+      const query = touchQuery(data, record.cacheKey, route, record.at);
+      add(query, record);
+      query.lastRunAt = record.at;
+      pruneQueries(data);
+    }
+    remember(data);
+  });
+}
+
+// Lookup counts waiting to be written, by cache key
+let pending = new Map();
+let flushTimer = null;
+
+const LOOKUP_FIELDS = { fresh: "hits", stale: "staleHits", miss: "misses" };
+
+export async function flushLookups() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (pending.size === 0) return;
+
+  const counts = pending;
+  pending = new Map();
+
+  const at = new Date().toISOString();
+  await store.update((data) => {
+    const today = (data.days[day()] ||= emptyTotals());
+    counts.forEach(({ route, ...fields }, cacheKey) => {
+      const query = touchQuery(data, cacheKey, route, at);
+      Object.entries(fields).forEach(([field, count]) => {
+        query[field] += count;
+        today[field] += count;
+      });
+    });
+    pruneQueries(data);
+    remember(data);
+  });
+}
+
+function countLookup({ cacheKey, route, state }) {
+  const field = LOOKUP_FIELDS[state];
+  if (!cacheKey || !field) return;
+
+  const counts = pending.get(cacheKey) || {
+    route,
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+  };
+  counts[field]++;
+  pending.set(cacheKey, counts);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushLookups().catch((error) =>
+        console.error("❌ Failed to record cache lookups:", error.message)
+      );
+    }, FLUSH_INTERVAL);
+    flushTimer.unref();
+  }
+}
+
+// Record every provider run and cache lookup
+export function trackUsage(events) {
+  const record = (event) =>
+    recordRun(event).catch((error) =>
+      console.error("❌ Failed to record usage:", error.message)
+    );
+
+  events.on("fetched", record);
+  events.on("failed", record);
+  events.on("lookup", countLookup);
+
+  const refresh = () =>
+    store
+      .read()
+      .then(remember)
+      .catch(() => {});
+  refresh();
+  setInterval(refresh, REFRESH_INTERVAL).unref();
+}
+
+// ======================
+// BUDGET
+// ======================
+
+export function budgetStatus() {
+  const costUsd = spent.month === month() ? spent.costUsd : 0;
+  return {
+    month: month(),
+    costUsd: round(costUsd),
+    budgetUsd: MONTHLY_BUDGET || null,
+    remainingUsd: MONTHLY_BUDGET
+      ? round(Math.max(MONTHLY_BUDGET - costUsd, 0))
+      : null,
+    exceeded: MONTHLY_BUDGET > 0 && costUsd >= MONTHLY_BUDGET,
+  };
+}
+
+// Fetch guard for the scraper: refuse new runs once the month's budget is
+// spent. Runs already in flight still finish.
+export function enforceBudget() {
+  const status = budgetStatus();
+  if (!status.exceeded) return;
+
+  throw new AppError(
+    "BUDGET_EXCEEDED",
+    `The monthly data budget ($${status.budgetUsd}) has been reached. ` +
+      "Only cached results are available until next month."
+  );
+}
+
+// ======================
+// REPORTS
+// ======================
+
+// Daily totals for the last `days` days (oldest first), per-query totals
+// sorted by cost, and the most recent runs
+export async function getUsage({ days = 30, limit = 50 } = {}) {
+  await flushLookups();
+  const data = await store.read();
+
+  const daily = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = day(new Date(Date.now() - offset * 24 * 60 * 60 * 1000));
+    daily.push({ day: date, ...(data.days[date] || emptyTotals()) });
+  }
+
+  const queries = Object.entries(data.queries)
+    .map(([cacheKey, query]) => {
+      const lookups = query.hits + query.staleHits + query.misses;
+      return {
+        cacheKey,
+        ...query,
+        hitRate: lookups
+          ? round((query.hits + query.staleHits) / lookups, 3)
+          : 0,
+      };
+    })
+    .sort((a, b) => b.costUsd - a.costUsd || b.runs - a.runs)
+    .slice(0, limit);
+
+  return {
+    budget: budgetStatus(),
+    totals: daily.reduce((totals, entry) => {
+      Object.keys(totals).forEach((field) => {
+        totals[field] = round(totals[field] + entry[field]);
+      });
+      return totals;
+    }, emptyTotals()),
+    days: daily,
+    queries,
+    recentRuns: data.runs.slice(0, 20),
+  };
+}
@@ -0,0 +1,39 @@
+// services/validation.js - Canonical usernames, hashtags, queries and ids
+import "../public/js/validation.js";
+import { AppError } from "./errors.js";
+
+// Shared with the browser, see public/js/validation.js
+const rules = globalThis.TokViewValidation;
+
+export const {
+  LIMITS,
+  normalizeUsername,
+  normalizeHashtag,
+  normalizeQuery,
+} = rules;
+
+// The canonical value, or a VALIDATION error naming the offending field:
+// { details: { fields: { [field]: message } } }
+function check({ value, error }, field) {
+  if (error) {
+    throw new AppError("VALIDATION", error, {
+      details: { fields: { [field]: error } },
+    });
+  }
+  return value;
+}
+
+export const parseUsername = (value, field = "username") =>
+  check(rules.validateUsername(value), field);
+
+export const parseHashtag = (value, field = "tag") =>
+  check(rules.validateHashtag(value), field);
+
+export const parseQuery = (value, field = "q") =>
+  check(rules.validateQuery(value), field);
+
+export const parseVideoId = (value, field = "id") =>
+  check(rules.validateVideoId(value), field);
+
+export const parseSoundId = (value, field = "id") =>
+  check(rules.validateSoundId(value), field);
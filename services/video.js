@@ -0,0 +1,67 @@
+// services/video.js - One video by id, with related videos from the same
+// creator and sound
+import { runScraper } from "./scraper.js";
+import { mapVideos } from "./mappers.js";
+import { loadList } from "./queries.js";
+import { AppError } from "./errors.js";
+import { parseVideoId } from "./validation.js";
+
+// Videos shown in each "more from..." rail
+const RAIL_SIZE = 8;
+
+// TikTok redirects a post URL to the right creator, so the id is enough
+export const postUrl = (id) => `https://www.tiktok.com/@/video/${id}`;
+
+// Fetch (or read from cache) a single post. Throws NOT_FOUND when it
+// doesn't exist.
+export async function fetchVideo(id) {
+  let items;
+  try {
+    items = await runScraper(
+      {
+        postURLs: [postUrl(id)],
+        proxyCountryCode: "None",
+        resultsPerPage: 1,
+        shouldDownloadVideos: false,
+      },
+      { cacheKey: `video_${id}`, route: "video" }
+    );
+  } catch (error) {
+    if (error.code === "NO_RESULTS") {
+      throw new AppError("NOT_FOUND", `Video ${id} not found`);
+    }
+    throw error;
+  }
+
+  const item = items.find((entry) => String(entry.id) === id);
+  if (!item) throw new AppError("NOT_FOUND", `Video ${id} not found`);
+  return mapVideos([item])[0];
+}
+
+// Up to RAIL_SIZE videos of a list other than `id` itself. Rails are extras:
+// a failed fetch leaves the rail empty instead of failing the page.
+async function rail(type, params, id) {
+  try {
+    const payload = await loadList(type, params, { limit: RAIL_SIZE + 1 });
+    return (payload.videos || payload.data)
+      .filter((video) => video.id !== id)
+      .slice(0, RAIL_SIZE);
+  } catch (error) {
+    console.error(`❌ ${type} rail for video ${id} failed:`, error.message);
+    return [];
+  }
+}
+
+// { video, related: { creator: [...], sound: [...] } }
+export async function loadVideo(rawId) {
+  const id = parseVideoId(rawId);
+  const video = await fetchVideo(id);
+
+  const username = video.creator.username;
+  const [creator, sound] = await Promise.all([
+    username !== "unknown" ? rail("profile", { username }, id) : [],
+    video.sound ? rail("sound", { id: video.sound.id }, id) : [],
+  ]);
+
+  return { video, related: { creator, sound } };
+}
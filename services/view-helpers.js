@@ -0,0 +1,30 @@
+// services/view-helpers.js - Formatting helpers shared by the EJS views
+
+// Format large numbers, same as Utils.formatNumber in public/js/app.js
+export function formatNumber(num) {
+  if (!num) return "0";
+  if (num >= 1000000) {
+    return (num / 1000000).toFixed(1) + "M";
+  }
+  if (num >= 1000) {
+    return (num / 1000).toFixed(1) + "K";
+  }
+  return num.toString();
+}
+
+// 75 -> "1:15"
+export function formatDuration(seconds) {
+  const total = Math.round(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// Unix seconds -> "Oct 15, 2026, 4:47 AM UTC". Pages render in UTC; the
+// <time> element carries the exact instant for the browser.
+export function formatDate(seconds) {
+  if (!seconds) return "Unknown";
+  return `${new Date(seconds * 1000).toLocaleString("en-US", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  })} UTC`;
+}
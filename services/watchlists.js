@@ -0,0 +1,167 @@
+// services/watchlists.js - Server-stored lists of watched creators and hashtags
+import { randomUUID } from "crypto";
+import { createJsonStore } from "./store.js";
+import { AppError } from "./errors.js";
+import { parseUsername, parseHashtag } from "./validation.js";
+
+const store = createJsonStore("watchlists", { watchlists: [] });
+
+// The list the UI's "Watch" buttons and /feed use unless told otherwise.
+// It exists implicitly until something is added to it.
+export const DEFAULT_WATCHLIST = "default";
+
+// Watchlist source types and the field holding each
+export const SOURCE_FIELDS = { profile: "usernames", hashtag: "hashtags" };
+
+const emptyWatchlist = (id, name) => {
+  const now = new Date().toISOString();
+  return {
+    id,
+    name,
+    usernames: [],
+    hashtags: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+// "@Name " -> "name", "#Tag" -> "tag" (see validation.js). Throws a
+// VALIDATION error for values the list routes would reject anyway, naming
+// `field` as the bad input.
+export function normalizeSource(type, value, field = "value") {
+  if (!SOURCE_FIELDS[type]) {
+    throw new AppError(
+      "VALIDATION",
+      'Source type must be "profile" or "hashtag"',
+      { details: { fields: { type: 'Must be "profile" or "hashtag"' } } }
+    );
+  }
+  return type === "profile"
+    ? parseUsername(value, field)
+    : parseHashtag(value, field);
+}
+
+const normalizeList = (type, values = []) => {
+  if (!Array.isArray(values)) {
+    throw new AppError("VALIDATION", `${SOURCE_FIELDS[type]} must be an array`);
+  }
+  const field = SOURCE_FIELDS[type];
+  return [
+    ...new Set(values.map((value) => normalizeSource(type, value, field))),
+  ];
+};
+
+function findIn(data, id) {
+  const watchlist = data.watchlists.find((w) => w.id === id);
+  if (watchlist) return watchlist;
+  if (id !== DEFAULT_WATCHLIST) {
+    throw new AppError("NOT_FOUND", `Watchlist "${id}" not found`);
+  }
+  return null;
+}
+
+// Fetch the default watchlist entry for writing, creating it on first use
+function ensure(data, id) {
+  const watchlist = findIn(data, id);
+  if (watchlist) return watchlist;
+
+  const created = emptyWatchlist(DEFAULT_WATCHLIST, "My watchlist");
+  data.watchlists.unshift(created);
+  return created;
+}
+
+export async function listWatchlists() {
+  const { watchlists } = await store.read();
+  if (watchlists.some((w) => w.id === DEFAULT_WATCHLIST)) return watchlists;
+  return [emptyWatchlist(DEFAULT_WATCHLIST, "My watchlist"), ...watchlists];
+}
+
+export async function getWatchlist(id = DEFAULT_WATCHLIST) {
+  const watchlist = findIn(await store.read(), id);
+  return watchlist || emptyWatchlist(DEFAULT_WATCHLIST, "My watchlist");
+}
+
+export async function createWatchlist({ name, usernames, hashtags } = {}) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new AppError("VALIDATION", "Watchlist name is required");
+
+  const watchlist = {
+    ...emptyWatchlist(randomUUID(), trimmed),
+    usernames: normalizeList("profile", usernames),
+    hashtags: normalizeList("hashtag", hashtags),
+  };
+
+  await store.update((data) => {
+    data.watchlists.push(watchlist);
+  });
+  return watchlist;
+}
+
+// Rename and/or replace the sources of a watchlist
+export async function updateWatchlist(id, { name, usernames, hashtags } = {}) {
+  return store.update((data) => {
+    const watchlist = ensure(data, id);
+
+    if (name !== undefined) {
+      const trimmed = String(name).trim();
+      if (!trimmed)
+        throw new AppError("VALIDATION", "Watchlist name is required");
+      watchlist.name = trimmed;
+    }
+    if (usernames !== undefined) {
+      watchlist.usernames = normalizeList("profile", usernames);
+    }
+    if (hashtags !== undefined) {
+      watchlist.hashtags = normalizeList("hashtag", hashtags);
+    }
+
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+export async function deleteWatchlist(id) {
+  return store.update((data) => {
+    const watchlist = findIn(data, id);
+    data.watchlists = data.watchlists.filter((w) => w !== watchlist);
+    return watchlist !== null;
+  });
+}
+
+export async function addSource(id, type, value) {
+  const normalized = normalizeSource(type, value);
+
+  return store.update((data) => {
+    const watchlist = ensure(data, id);
+    const field = SOURCE_FIELDS[type];
+    if (!watchlist[field].includes(normalized)) {
+      watchlist[field].push(normalized);
+      watchlist.updatedAt = new Date().toISOString();
+    }
+    return watchlist;
+  });
+}
+
+export async function removeSource(id, type, value) {
+  const normalized = normalizeSource(type, value);
+
+  return store.update((data) => {
+    const watchlist = ensure(data, id);
+    const field = SOURCE_FIELDS[type];
+    watchlist[field] = watchlist[field].filter((v) => v !== normalized);
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+// Whether a profile or hashtag is on a watchlist, for "Watch" buttons
+export async function isWatched(type, value, id = DEFAULT_WATCHLIST) {
+  try {
+    const watchlist = await getWatchlist(id);
+    return watchlist[SOURCE_FIELDS[type]].includes(
+      normalizeSource(type, value)
+    );
+  } catch (error) {
+    return false;
+  }
+}
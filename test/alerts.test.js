@@ -0,0 +1,153 @@
+// test/alerts.test.js - Alert rule matching and webhook address checks
+import { test, describe, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Rules are stored in a throwaway data dir
+const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "tokview-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.SCRAPER_PROVIDER = "fixture";
+mock.method(console, "log", () => {});
+
+const { matchesRule, createAlert, updateAlert, deleteAlert, listAlerts } =
+  await import("../services/alerts.js");
+
+after(() => fs.rm(dataDir, { recursive: true, force: true }));
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+
+const video = ({ author = "chefjohn", tags = [], plays = 0, postedAt }) => ({
+  id: "1",
+  authorMeta: { name: author },
+  hashtags: tags.map((name) => ({ name })),
+  playCount: plays,
+  createTimeISO: new Date(postedAt).toISOString(),
+});
+
+describe("new-post rules", () => {
+  const rule = {
+    type: "new-post",
+    source: { type: "profile", value: "chefjohn" },
+    createdAt: new Date(NOW - 24 * HOUR).toISOString(),
+  };
+
+  test("match videos from the source posted after the rule", () => {
+    const item = video({ author: "ChefJohn", postedAt: NOW - HOUR });
+    assert.equal(matchesRule(rule, item, NOW), true);
+  });
+
+  test("ignore videos posted before the rule existed", () => {
+    const item = video({ postedAt: NOW - 48 * HOUR });
+    assert.equal(matchesRule(rule, item, NOW), false);
+  });
+
+  test("ignore other creators", () => {
+    const item = video({ author: "someoneelse", postedAt: NOW - HOUR });
+    assert.equal(matchesRule(rule, item, NOW), false);
+  });
+});
+
+describe("threshold rules", () => {
+  const rule = {
+    type: "threshold",
+    source: { type: "hashtag", value: "ourbrand" },
+    plays: 100000,
+    withinHours: 24,
+    createdAt: new Date(NOW).toISOString(),
+  };
+
+  test("match videos reaching the plays in time", () => {
+    const item = video({
+      tags: ["fyp", "OurBrand"],
+      plays: 100000,
+      postedAt: NOW - 23 * HOUR,
+    });
+    assert.equal(matchesRule(rule, item, NOW), true);
+  });
+
+  test("ignore videos below the plays", () => {
+    const item = video({
+      tags: ["ourbrand"],
+      plays: 99999,
+      postedAt: NOW - HOUR,
+    });
+    assert.equal(matchesRule(rule, item, NOW), false);
+  });
+
+  test("ignore videos older than the window", () => {
+    const item = video({
+      tags: ["ourbrand"],
+      plays: 500000,
+      postedAt: NOW - 25 * HOUR,
+    });
+    assert.equal(matchesRule(rule, item, NOW), false);
+  });
+
+  test("ignore videos without the hashtag", () => {
+    const item = video({
+      tags: ["ourbrandnew"],
+      plays: 500000,
+      postedAt: NOW - HOUR,
+    });
+    assert.equal(matchesRule(rule, item, NOW), false);
+  });
+});
+
+describe("webhook urls", () => {
+  const body = (webhookUrl) => ({
+    type: "new-post",
+    source: { type: "profile", value: "chefjohn" },
+    webhookUrl,
+  });
+
+  test("reject local, private and metadata addresses", async () => {
+    for (const url of [
+      "http://127.0.0.1/hook",
+      "http://localhost:8080/hook",
+      "http://10.0.0.5/hook",
+      "http://172.20.1.1/hook",
+      "http://192.168.1.10/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://0.0.0.0/",
+      "http://[::1]/hook",
+      "http://[fd00:ec2::254]/",
+      "http://[::ffff:127.0.0.1]/",
+      "http://[::ffff:0:7f00:1]/",
+      "http://[::127.0.0.1]/",
+      "http://[64:ff9b::7f00:1]/",
+      "http://[2002:7f00:1::]/",
+    ]) {
+      await assert.rejects(createAlert(body(url)), { code: "VALIDATION" }, url);
+    }
+  });
+
+  test("accept public IPv6 addresses", async () => {
+    const alert = await createAlert(body("https://[2606:2800:21f:cb07::1]/"));
+    assert.equal(alert.webhookUrl, "https://[2606:2800:21f:cb07::1]/");
+    await deleteAlert(alert.id);
+  });
+
+  test("reject other schemes", async () => {
+    await assert.rejects(createAlert(body("ftp://93.184.215.14/")), {
+      code: "VALIDATION",
+    });
+    await assert.rejects(createAlert(body("file:///etc/passwd")), {
+      code: "VALIDATION",
+    });
+  });
+
+  test("keep a public address when an update is rejected", async () => {
+    const alert = await createAlert(body("https://93.184.215.14/hook"));
+    assert.equal(alert.webhookUrl, "https://93.184.215.14/hook");
+
+    await assert.rejects(
+      updateAlert(alert.id, { webhookUrl: "http://127.0.0.1/" }),
+      { code: "VALIDATION" }
+    );
+    const [stored] = await listAlerts();
+    assert.equal(stored.webhookUrl, "https://93.184.215.14/hook");
+  });
+});
@@ -0,0 +1,146 @@
+// test/auth.test.js - Admin tokens, signed session cookies and route guards
+import { test, describe, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.ADMIN_SECRET = "correct horse battery staple";
+process.env.ADMIN_SESSION_HOURS = "2";
+
+const { isAdmin, startSession, requireAdmin, SESSION_COOKIE } = await import(
+  "../services/auth.js"
+);
+
+const HOUR = 60 * 60 * 1000;
+
+// Just enough of Express's req and res for the auth helpers
+const request = (headers = {}) => {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return { secure: false, get: (name) => lower[name.toLowerCase()] };
+};
+
+const response = () => ({
+  cookies: {},
+  statusCode: 200,
+  body: null,
+  cookie(name, value, options) {
+    this.cookies[name] = { value, options };
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const withCookie = (value) =>
+  request({
+    Cookie: `theme=dark; ${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+  });
+
+// Log in and return the session cookie's value
+function login() {
+  const res = response();
+  assert.equal(startSession(request(), res, process.env.ADMIN_SECRET), true);
+  return res.cookies[SESSION_COOKIE];
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("tokens", () => {
+  test("accept the secret as a bearer token or X-Admin-Token", () => {
+    const secret = process.env.ADMIN_SECRET;
+    assert.equal(isAdmin(request({ Authorization: `Bearer ${secret}` })), true);
+    assert.equal(isAdmin(request({ "X-Admin-Token": secret })), true);
+  });
+
+  test("reject anything else", () => {
+    assert.equal(isAdmin(request()), false);
+    assert.equal(isAdmin(request({ Authorization: "Bearer nope" })), false);
+    assert.equal(isAdmin(request({ Authorization: "Bearer " })), false);
+    assert.equal(
+      isAdmin(request({ Authorization: process.env.ADMIN_SECRET })),
+      false
+    );
+  });
+});
+
+describe("sessions", () => {
+  test("refuse a wrong secret without setting a cookie", () => {
+    const res = response();
+    assert.equal(startSession(request(), res, "wrong"), false);
+    assert.equal(startSession(request(), res, ""), false);
+    assert.deepEqual(res.cookies, {});
+  });
+
+  test("set a signed HttpOnly cookie that expires with the session", () => {
+    const now = Date.now();
+    mock.method(Date, "now", () => now);
+
+    const { value, options } = login();
+    const [expires, signature] = value.split(".");
+    assert.equal(Number(expires), now + 2 * HOUR);
+    assert.match(signature, /^[A-Za-z0-9_-]{43}$/);
+    assert.equal(options.httpOnly, true);
+    assert.equal(options.sameSite, "strict");
+    assert.equal(options.maxAge, 2 * HOUR);
+  });
+
+  test("are accepted until they expire", () => {
+    const { value } = login();
+    assert.equal(isAdmin(withCookie(value)), true);
+
+    const expires = Number(value.split(".")[0]);
+    mock.method(Date, "now", () => expires + 1);
+    assert.equal(isAdmin(withCookie(value)), false);
+  });
+
+  test("reject a changed expiry or signature", () => {
+    const { value } = login();
+    const [expires, signature] = value.split(".");
+    const later = String(Number(expires) + 365 * 24 * HOUR);
+    const flipped = (signature[0] === "A" ? "B" : "A") + signature.slice(1);
+
+    for (const forged of [
+      `${later}.${signature}`,
+      `${expires}.${flipped}`,
+      `${expires}.${signature.slice(1)}`,
+      `${expires}.`,
+      expires,
+      "",
+    ]) {
+      assert.equal(isAdmin(withCookie(forged)), false, forged);
+    }
+  });
+});
+
+describe("requireAdmin", () => {
+  const guard = (req) => {
+    const res = response();
+    const next = mock.fn();
+    requireAdmin(req, res, next);
+    return { res, next };
+  };
+
+  test("lets admins through", () => {
+    const { next, res } = guard(withCookie(login().value));
+    assert.equal(next.mock.callCount(), 1);
+    assert.equal(res.body, null);
+  });
+
+  test("asks for credentials when there are none", () => {
+    const { next, res } = guard(request());
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, "AUTH_REQUIRED");
+  });
+
+  test("rejects a wrong token", () => {
+    const { next, res } = guard(request({ Authorization: "Bearer nope" }));
+    assert.equal(next.mock.callCount(), 0);
+    assert.equal(res.body.code, "AUTH_INVALID");
+  });
+});
@@ -0,0 +1,140 @@
+// test/cron.test.js - Schedule expressions and their next run
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { parseSchedule } from "../services/cron.js";
+
+// Schedules run in the server's timezone, so build dates in local time
+const at = (year, month, day, hour = 0, minute = 0, second = 0) =>
+  new Date(year, month - 1, day, hour, minute, second);
+
+const MINUTE = 60 * 1000;
+
+describe("cron expressions", () => {
+  const next = (expression, from) => parseSchedule(expression).next(from);
+
+  test("every minute runs at the next whole minute", () => {
+    assert.deepEqual(
+      next("* * * * *", at(2026, 1, 5, 10, 7, 30)),
+      at(2026, 1, 5, 10, 8)
+    );
+  });
+
+  test("never returns the start time itself", () => {
+    assert.deepEqual(
+      next("0 * * * *", at(2026, 1, 5, 10, 0)),
+      at(2026, 1, 5, 11, 0)
+    );
+  });
+
+  test("steps, ranges and lists", () => {
+    const from = at(2026, 1, 5, 10, 7);
+    assert.deepEqual(next("*/15 * * * *", from), at(2026, 1, 5, 10, 15));
+    assert.deepEqual(next("5/20 * * * *", from), at(2026, 1, 5, 10, 25));
+    assert.deepEqual(next("0 9-17/4 * * *", from), at(2026, 1, 5, 13, 0));
+    assert.deepEqual(next("30 8,20 * * *", from), at(2026, 1, 5, 20, 30));
+  });
+
+  test("rolls over days, months and years", () => {
+    assert.deepEqual(next("0 6 * * *", at(2026, 1, 31, 7)), at(2026, 2, 1, 6));
+    assert.deepEqual(next("0 0 1 * *", at(2026, 12, 15)), at(2027, 1, 1));
+  });
+
+  test("weekdays (2026-01-05 is a Monday)", () => {
+    // Friday after 9 -> Monday
+    assert.deepEqual(
+      next("0 9 * * 1-5", at(2026, 1, 9, 10)),
+      at(2026, 1, 12, 9)
+    );
+    assert.deepEqual(next("0 0 * * 0", at(2026, 1, 5)), at(2026, 1, 11));
+  });
+
+  test("day of month and weekday both set match either", () => {
+    // The 15th, or any Monday
+    assert.deepEqual(next("0 0 15 * 1", at(2026, 1, 6)), at(2026, 1, 12));
+    assert.deepEqual(next("0 0 15 * 1", at(2026, 1, 13)), at(2026, 1, 15));
+  });
+
+  test("reaches the next leap day", () => {
+    assert.deepEqual(next("0 0 29 2 *", at(2026, 3, 1)), at(2028, 2, 29));
+  });
+
+  test("aliases", () => {
+    const from = at(2026, 1, 7, 10, 30);
+    assert.deepEqual(next("@hourly", from), at(2026, 1, 7, 11));
+    assert.deepEqual(next("@daily", from), at(2026, 1, 8));
+    assert.deepEqual(next("@weekly", from), at(2026, 1, 11));
+    assert.deepEqual(next("@monthly", from), at(2026, 2, 1));
+    assert.deepEqual(next("@DAILY", from), at(2026, 1, 8));
+  });
+
+  test("keeps the expression and has no interval", () => {
+    const schedule = parseSchedule("  */5 * * * *  ");
+    assert.equal(schedule.expression, "*/5 * * * *");
+    assert.equal(schedule.interval, null);
+  });
+});
+
+describe("@every intervals", () => {
+  test("run right away the first time", () => {
+    const from = at(2026, 1, 5, 10, 7);
+    assert.deepEqual(parseSchedule("@every 45m").next(from), from);
+  });
+
+  test("count from the last run", () => {
+    const schedule = parseSchedule("@every 2h");
+    assert.equal(schedule.interval, 120 * MINUTE);
+    assert.deepEqual(
+      schedule.next(at(2026, 1, 5, 10), at(2026, 1, 5, 9)),
+      at(2026, 1, 5, 11)
+    );
+  });
+
+  test("run now when the last run is overdue", () => {
+    const from = at(2026, 1, 5, 10);
+    assert.deepEqual(
+      parseSchedule("@every 1d").next(from, at(2026, 1, 1)),
+      from
+    );
+  });
+
+  test("accept every unit", () => {
+    assert.equal(parseSchedule("@every 90s").interval, 90 * 1000);
+    assert.equal(parseSchedule("@every 1h").interval, 60 * MINUTE);
+    assert.equal(parseSchedule("@EVERY 1D").interval, 24 * 60 * MINUTE);
+  });
+});
+
+describe("invalid schedules", () => {
+  const rejects = (expression) =>
+    assert.throws(() => parseSchedule(expression), { code: "VALIDATION" });
+
+  test("are rejected with a validation error", () => {
+    [
+      "",
+      "   ",
+      null,
+      "* * * *",
+      "* * * * * *",
+      "60 * * * *",
+      "* 24 * * *",
+      "* * 0 * *",
+      "* * * 13 *",
+      "* * * * 7",
+      "5-1 * * * *",
+      "*/0 * * * *",
+      "a * * * *",
+      "@yearly",
+      "@every 10x",
+    ].forEach(rejects);
+  });
+
+  test("include intervals under a minute", () => {
+    rejects("@every 30s");
+    rejects("@every 0m");
+  });
+
+  test("include dates that never happen", () => {
+    rejects("0 0 31 2 *");
+    rejects("0 0 30 2 *");
+  });
+});
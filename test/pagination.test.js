@@ -0,0 +1,134 @@
+// test/pagination.test.js - Cursor encoding and paging over scraper datasets
+import { test, describe, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Page against a recorded dataset of 30 videos instead of Apify
+const fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), "tokview-test-"));
+process.env.SCRAPER_PROVIDER = "fixture";
+process.env.FIXTURE_DIR = fixtureDir;
+process.env.CACHE_BACKEND = "memory";
+// Keep the scraper's progress logs out of the test report
+mock.method(console, "log", () => {});
+
+const { encodeCursor, decodeCursor, parsePageParams, fetchPage, MAX_LIMIT } =
+  await import("../services/pagination.js");
+
+const videos = Array.from({ length: 30 }, (_, index) => ({
+  id: String(1000 + index),
+  text: `video ${index}`,
+  authorMeta: { name: "chefjohn" },
+  hashtags: [{ name: "dance" }],
+}));
+
+before(() =>
+  fs.writeFile(path.join(fixtureDir, "videos.json"), JSON.stringify(videos))
+);
+after(() => fs.rm(fixtureDir, { recursive: true, force: true }));
+
+describe("cursors", () => {
+  test("round-trip an offset", () => {
+    assert.equal(decodeCursor(encodeCursor(0)), 0);
+    assert.equal(decodeCursor(encodeCursor(40)), 40);
+  });
+
+  test("are url-safe", () => {
+    assert.match(encodeCursor(123456), /^[A-Za-z0-9_-]+$/);
+  });
+
+  test("start at 0 without a cursor", () => {
+    assert.equal(decodeCursor(undefined), 0);
+    assert.equal(decodeCursor(""), 0);
+  });
+
+  test("reject garbage and invalid offsets", () => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+
+    for (const cursor of [
+      "not-a-cursor",
+      encode({ o: -1 }),
+      encode({ o: 1.5 }),
+      encode({ o: "10" }),
+      encode({}),
+    ]) {
+      assert.throws(() => decodeCursor(cursor), { code: "VALIDATION" });
+    }
+  });
+});
+
+describe("parsePageParams", () => {
+  test("defaults to the first page", () => {
+    assert.deepEqual(parsePageParams({}, 20), { offset: 0, limit: 20 });
+  });
+
+  test("reads the cursor and limit", () => {
+    assert.deepEqual(
+      parsePageParams({ cursor: encodeCursor(20), limit: "10" }, 20),
+      { offset: 20, limit: 10 }
+    );
+  });
+
+  test("rejects limits out of range", () => {
+    for (const limit of ["0", "-5", "abc", String(MAX_LIMIT + 1)]) {
+      assert.throws(() => parsePageParams({ limit }, 20), {
+        code: "VALIDATION",
+      });
+    }
+    assert.throws(() => parsePageParams({ limit: "11" }, 5, 10), {
+      code: "VALIDATION",
+    });
+  });
+});
+
+describe("fetchPage", () => {
+  const page = (offset, limit, options = {}) =>
+    fetchPage(
+      { hashtags: ["dance"], resultsPerPage: 10 },
+      {
+        cacheKey: `hashtag_dance_${offset}_${limit}`,
+        route: "hashtag",
+        offset,
+        limit,
+        ...options,
+      }
+    );
+
+  test("returns the first page and a cursor to the next", async () => {
+    const { pageItems, nextCursor } = await page(0, 5);
+    assert.deepEqual(
+      pageItems.map((item) => item.id),
+      ["1000", "1001", "1002", "1003", "1004"]
+    );
+    assert.equal(decodeCursor(nextCursor), 5);
+  });
+
+  test("fetches a deeper dataset for pages past the first one", async () => {
+    const { dataset, pageItems, nextCursor } = await page(10, 5);
+    assert.equal(dataset.length, 20);
+    assert.deepEqual(
+      pageItems.map((item) => item.id),
+      ["1010", "1011", "1012", "1013", "1014"]
+    );
+    assert.equal(decodeCursor(nextCursor), 15);
+  });
+
+  test("has no next cursor once the dataset is exhausted", async () => {
+    const { pageItems, nextCursor } = await page(25, 10);
+    assert.equal(pageItems.length, 5);
+    assert.equal(nextCursor, null);
+  });
+
+  test("pages the selected items", async () => {
+    const { dataset, pageItems } = await page(0, 3, {
+      select: (items) => [...items].reverse(),
+    });
+    assert.equal(dataset[0].id, "1000");
+    assert.deepEqual(
+      pageItems.map((item) => item.id),
+      ["1009", "1008", "1007"]
+    );
+  });
+});
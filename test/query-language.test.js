@@ -0,0 +1,116 @@
+// test/query-language.test.js - Compound search query parsing and filtering
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSearchQuery,
+  includeTerms,
+  excludeTerms,
+  filterItems,
+  matchedTerms,
+} from "../services/query-language.js";
+
+const video = (id, { text = "", author = "someone", tags = [] } = {}) => ({
+  id,
+  text,
+  authorMeta: { name: author },
+  hashtags: tags.map((name) => ({ name })),
+});
+
+describe("parseSearchQuery", () => {
+  test("splits hashtags, profiles, words and phrases", () => {
+    assert.deepEqual(
+      parseSearchQuery('#recipe #vegan @chefjohn "one pot" quick dinner'),
+      {
+        hashtags: ["recipe", "vegan"],
+        profiles: ["chefjohn"],
+        keywords: ["quick dinner", "one pot"],
+        exclude: { hashtags: [], profiles: [], keywords: [] },
+      }
+    );
+  });
+
+  test("turns any term with a leading - into an exclusion", () => {
+    const parsed = parseSearchQuery(
+      '#food -#meat -@spammer -spicy -"deep fried"'
+    );
+    assert.deepEqual(parsed.hashtags, ["food"]);
+    assert.deepEqual(parsed.exclude, {
+      hashtags: ["meat"],
+      profiles: ["spammer"],
+      keywords: ["spicy", "deep fried"],
+    });
+  });
+
+  test("drops duplicates and empty terms", () => {
+    const parsed = parseSearchQuery('#dance #dance # @ "" "  " @khaby @khaby');
+    assert.deepEqual(parsed.hashtags, ["dance"]);
+    assert.deepEqual(parsed.profiles, ["khaby"]);
+    assert.deepEqual(parsed.keywords, []);
+  });
+
+  test("handles an empty query", () => {
+    for (const query of ["", "   ", undefined, null]) {
+      assert.deepEqual(parseSearchQuery(query), {
+        hashtags: [],
+        profiles: [],
+        keywords: [],
+        exclude: { hashtags: [], profiles: [], keywords: [] },
+      });
+    }
+  });
+});
+
+describe("terms", () => {
+  test("label the sources and exclusions", () => {
+    const parsed = parseSearchQuery('#vegan @chefjohn soup -#meat -"too hot"');
+    assert.deepEqual(includeTerms(parsed), ["#vegan", "@chefjohn", '"soup"']);
+    assert.deepEqual(excludeTerms(parsed), ["-#meat", '-"too hot"']);
+  });
+});
+
+describe("filterItems", () => {
+  test("drops duplicates and items without an id", () => {
+    const items = [video("1"), video("1"), { text: "no id" }, null, video("2")];
+    assert.deepEqual(
+      filterItems(items, parseSearchQuery("#food")).map((item) => item.id),
+      ["1", "2"]
+    );
+  });
+
+  test("drops items matching an exclusion, case-insensitively", () => {
+    const items = [
+      video("1", { tags: ["Meat"] }),
+      video("2", { author: "Spammer" }),
+      video("3", { text: "Way too SPICY for me" }),
+      video("4", { tags: ["spicyfood"] }),
+      video("5", { text: "a calm salad", tags: ["vegan"] }),
+    ];
+    const parsed = parseSearchQuery("#food -#meat -@spammer -spicy");
+    assert.deepEqual(
+      filterItems(items, parsed).map((item) => item.id),
+      ["5"]
+    );
+  });
+});
+
+describe("matchedTerms", () => {
+  const parsed = parseSearchQuery("#vegan @chefjohn one pot");
+
+  test("credits every include term the item satisfies", () => {
+    const item = video("1", {
+      text: "One pot pasta",
+      author: "ChefJohn",
+      tags: ["Vegan"],
+    });
+    assert.deepEqual(matchedTerms(item, parsed), [
+      "#vegan",
+      "@chefjohn",
+      '"one pot"',
+    ]);
+  });
+
+  test("falls back to the keyword search when nothing matches", () => {
+    const item = video("2", { text: "unrelated", tags: ["other"] });
+    assert.deepEqual(matchedTerms(item, parsed), ['"one pot"']);
+  });
+});
@@ -0,0 +1,119 @@
+// test/scraper.test.js - Run coalescing, the concurrency cap and stale-while-revalidate
+import { test, describe, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Slow fixture runs, one at a time, so overlapping calls can be observed
+const fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), "tokview-test-"));
+process.env.SCRAPER_PROVIDER = "fixture";
+process.env.FIXTURE_DIR = fixtureDir;
+process.env.FIXTURE_DELAY_MS = "200";
+process.env.SCRAPER_MAX_CONCURRENT_RUNS = "1";
+process.env.CACHE_BACKEND = "memory";
+// Hashtag datasets go stale as soon as they are cached
+process.env.CACHE_TTL_HASHTAG = "0";
+mock.method(console, "log", () => {});
+
+const { runScraper, getScraperStats, provider } = await import(
+  "../services/scraper.js"
+);
+
+const videos = Array.from({ length: 5 }, (_, index) => ({
+  id: String(2000 + index),
+  text: `video ${index}`,
+  authorMeta: { name: "danceloop" },
+  hashtags: [{ name: "dance" }],
+}));
+
+const input = { hashtags: ["dance"], resultsPerPage: 5 };
+
+before(() =>
+  fs.writeFile(path.join(fixtureDir, "videos.json"), JSON.stringify(videos))
+);
+after(() => fs.rm(fixtureDir, { recursive: true, force: true }));
+
+// Count provider runs from here on (console.log stays mocked)
+let start = null;
+const countRuns = () => (start = mock.method(provider, "start")).mock;
+afterEach(() => start?.mock.restore());
+
+// Resolves once no run is in flight or queued
+async function settled() {
+  while (getScraperStats().inFlight > 0 || getScraperStats().queued > 0) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("coalescing", () => {
+  test("concurrent calls for one key share a provider run", async () => {
+    const runs = countRuns();
+    const before = getScraperStats().coalesced;
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        runScraper(input, { cacheKey: "profile_shared", route: "profile" })
+      )
+    );
+
+    assert.equal(runs.callCount(), 1);
+    assert.equal(getScraperStats().coalesced - before, 4);
+    results.forEach((items) => assert.deepEqual(items, results[0]));
+  });
+
+  test("later calls are served from the cache", async () => {
+    const runs = countRuns();
+    const items = await runScraper(input, {
+      cacheKey: "profile_shared",
+      route: "profile",
+    });
+
+    assert.equal(runs.callCount(), 0);
+    assert.equal(items.length, 5);
+  });
+});
+
+describe("concurrency cap", () => {
+  test("a second key queues until the first run finishes", async () => {
+    const runs = countRuns();
+
+    const first = runScraper(input, { cacheKey: "profile_a", route: "profile" });
+    const second = runScraper(input, {
+      cacheKey: "profile_b",
+      route: "profile",
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(runs.callCount(), 1);
+    assert.deepEqual(
+      { active: getScraperStats().active, queued: getScraperStats().queued },
+      { active: 1, queued: 1 }
+    );
+
+    await Promise.all([first, second]);
+    assert.equal(runs.callCount(), 2);
+    assert.equal(getScraperStats().active, 0);
+  });
+});
+
+describe("stale-while-revalidate", () => {
+  test("a stale hit returns at once and refreshes once", async () => {
+    const options = { cacheKey: "hashtag_dance", route: "hashtag" };
+    await runScraper(input, options);
+    const runs = countRuns();
+
+    const startedAt = Date.now();
+    const [first, second] = await Promise.all([
+      runScraper(input, options),
+      runScraper(input, options),
+    ]);
+
+    assert.ok(Date.now() - startedAt < 200, "stale hits waited for the run");
+    assert.equal(first.length, 5);
+    assert.equal(second.length, 5);
+
+    await settled();
+    assert.equal(runs.callCount(), 1);
+  });
+});
@@ -0,0 +1,47 @@
+// worker.js - Runs scheduled refreshes outside the web server
+//
+// Start with `npm run worker` and set SCHEDULER_ENABLED=false for the web
+// server so schedules only run here. Both processes need CACHE_BACKEND=file
+// with the same CACHE_DIR and DATA_DIR to see each other's data. Updates to
+// DATA_DIR documents take a lockfile there, so the directory must be on a
+// local disk both processes use, not one that is synced between machines.
+import dotenv from "dotenv";
+import {
+  cache,
+  provider,
+  scraperEvents,
+  addFetchGuard,
+} from "./services/scraper.js";
+import { trackHistory } from "./services/history.js";
+import { trackAlerts } from "./services/alerts.js";
+import { trackUsage, enforceBudget } from "./services/usage.js";
+import { scheduler } from "./services/scheduler.js";
+
+dotenv.config();
+
+trackHistory(scraperEvents);
+trackAlerts(scraperEvents);
+trackUsage(scraperEvents);
+addFetchGuard(enforceBudget);
+
+console.log("TokView Pro Worker Started!");
+console.log(`Data source: ${provider.name}`);
+console.log(`Cache backend: ${cache.backend}`);
+
+if (cache.backend === "memory") {
+  console.log(
+    "\n WARNING: CACHE_BACKEND=memory keeps refreshed data inside this process"
+  );
+  console.log("Use CACHE_BACKEND=file with a CACHE_DIR shared with the server");
+}
+
+scheduler.start();
+
+async function shutdown(signal) {
+  console.log(`\n${signal} received, finishing the current run...`);
+  await scheduler.stop();
+  process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));